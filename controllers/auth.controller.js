@@ -5,7 +5,9 @@ import crypto from "crypto";
 import { sendEmail } from "../utils/email.js";
 import path from "path";
 import fs from "fs";
-import { uploadBuffer } from "../utils/cloudinary.js";
+import { storeFile } from "../utils/storage/index.js";
+import { UPLOADS_DIR } from "../utils/storage/localDriver.js";
+import { getVisitorId, mergeVisitorHistory } from "../utils/recentlyViewed.js";
 
 // @desc   Register User
 // @route  /api/auth/register
@@ -47,6 +49,15 @@ export const register = async (req, res, next) => {
       phoneNumber,
     });
 
+    // Carry over products viewed before signing up
+    const visitorId = getVisitorId(req);
+    if (visitorId) {
+      // Best effort: the account exists now, so a failed merge must not fail the sign-up
+      await mergeVisitorHistory(visitorId, user._id).catch((error) =>
+        console.error("Could not merge visitor history:", error)
+      );
+    }
+
     sendTokenResponse(user, 201, res);
   } catch (error) {
     next(error);
@@ -84,6 +95,15 @@ export const login = async (req, res, next) => {
       });
     }
 
+    // Carry over products viewed before logging in
+    const visitorId = getVisitorId(req);
+    if (visitorId) {
+      // Best effort: a failed merge must not fail the login
+      await mergeVisitorHistory(visitorId, user._id).catch((error) =>
+        console.error("Could not merge visitor history:", error)
+      );
+    }
+
     sendTokenResponse(user, 200, res);
   } catch (error) {
     next(error);
@@ -102,8 +122,7 @@ export const getMe = async (req, res, next) => {
       const isRemote = /^https?:\/\//i.test(user.avatar);
       if (!isRemote) {
         const avatarPath = path.join(
-          process.cwd(),
-          "Uploads",
+          UPLOADS_DIR,
           "avatars",
           path.basename(user.avatar)
         );
@@ -295,12 +314,11 @@ export const updateDetails = async (req, res, next) => {
     if (req.body.phoneNumber) fieldsToUpdate.phoneNumber = req.body.phoneNumber;
 
     if (req.file) {
-      // Upload buffer to Cloudinary into "technest/avatars"
-      const result = await uploadBuffer(req.file.buffer, {
-        folder: "technest/avatars",
-      });
-      fieldsToUpdate.avatar = result.secure_url;
-      console.log("Avatar uploaded to Cloudinary:", result.secure_url);
+      // Store the buffer in the configured media storage under "avatars"
+      const result = await storeFile(req.file, "avatars");
+      fieldsToUpdate.avatar = result.url;
+      fieldsToUpdate.avatarRenditions = result.renditions;
+      console.log(`Avatar uploaded to ${result.storage} storage:`, result.url);
     }
 
     if (Object.keys(fieldsToUpdate).length === 0) {
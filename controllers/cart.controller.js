@@ -1,12 +1,25 @@
 import Cart from '../models/cart.js';
 import Product from '../models/products.js';
+import {
+    findVariant,
+    getAvailableStock,
+    calculateCartTotal
+} from '../utils/pricing.js';
+import { withAvailability } from '../utils/availability.js';
+import { isPublished } from '../utils/productQuery.js';
+
+// Match a cart line by product and (optional) variant
+const isSameLine = (item, productId, variantId) => {
+    return item.product.toString() === productId.toString() &&
+        String(item.variant || '') === String(variantId || '');
+};
 
 // @desc    Add/Update cart item
 // @route   POST /api/cart/add
 // @access  Private
 export const addToCart = async (req, res, next) => {
     try {
-        const { productId, quantity } = req.body;
+        const { productId, variantId, quantity } = req.body;
 
         // Validate product exists
         const product = await Product.findById(productId);
@@ -17,8 +30,24 @@ export const addToCart = async (req, res, next) => {
             });
         }
 
+        if (product.archivedAt || !isPublished(product)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Product is no longer available'
+            });
+        }
+
+        // Products with variants need one selected
+        const variant = findVariant(product, variantId);
+        if (product.variants.length && !variant) {
+            return res.status(variantId ? 404 : 400).json({
+                success: false,
+                error: variantId ? 'Variant not found' : 'Please select a variant'
+            });
+        }
+
         // Check if quantity is available
-        if (product.stock < quantity) {
+        if (getAvailableStock(product, variant) < quantity) {
             return res.status(400).json({
                 success: false,
                 error: 'Requested quantity not available'
@@ -36,9 +65,9 @@ export const addToCart = async (req, res, next) => {
             });
         }
 
-        // Check if product already exists in cart
+        // Check if product (and variant) already exists in cart
         const existingProductIndex = cart.products.findIndex(
-            item => item.product.toString() === productId
+            item => isSameLine(item, productId, variant?._id)
         );
 
         if (existingProductIndex > -1) {
@@ -46,13 +75,11 @@ export const addToCart = async (req, res, next) => {
             cart.products[existingProductIndex].quantity = quantity;
         } else {
             // Add new product if it doesn't exist
-            cart.products.push({ product: productId, quantity });
+            cart.products.push({ product: productId, variant: variant?._id, quantity });
         }
 
         // Calculate total price
-        cart.totalPrice = cart.products.reduce((total, item) => {
-            return total + (product.price * item.quantity);
-        }, 0);
+        cart.totalPrice = await calculateCartTotal(cart.products);
 
         cart.updatedAt = Date.now();
         await cart.save();
@@ -62,7 +89,7 @@ export const addToCart = async (req, res, next) => {
 
         res.status(200).json({
             success: true,
-            data: cart
+            data: withAvailability(cart, req.currency)
         });
     } catch (error) {
         next(error);
@@ -84,9 +111,10 @@ export const getCart = async (req, res, next) => {
             });
         }
 
+        // Archived or removed products stay in the cart but are flagged unavailable
         res.status(200).json({
             success: true,
-            data: cart
+            data: withAvailability(cart, req.currency)
         });
     } catch (error) {
         next(error);
@@ -107,20 +135,15 @@ export const removeFromCart = async (req, res, next) => {
             });
         }
 
-        // Remove product from cart
-        cart.products = cart.products.filter(
-            item => item.product.toString() !== req.params.productId
+        // Remove product from cart (only the given variant when ?variantId= is passed)
+        const { variantId } = req.query;
+        cart.products = cart.products.filter(item => variantId
+            ? !isSameLine(item, req.params.productId, variantId)
+            : item.product.toString() !== req.params.productId
         );
 
         // Recalculate total price
-        const products = await Product.find({
-            _id: { $in: cart.products.map(item => item.product) }
-        });
-
-        cart.totalPrice = cart.products.reduce((total, item) => {
-            const product = products.find(p => p._id.toString() === item.product.toString());
-            return total + (product.price * item.quantity);
-        }, 0);
+        cart.totalPrice = await calculateCartTotal(cart.products);
 
         cart.updatedAt = Date.now();
         await cart.save();
@@ -129,7 +152,7 @@ export const removeFromCart = async (req, res, next) => {
 
         res.status(200).json({
             success: true,
-            data: cart
+            data: withAvailability(cart, req.currency)
         });
     } catch (error) {
         next(error);
@@ -141,7 +164,7 @@ export const removeFromCart = async (req, res, next) => {
 // @access  Private
 export const updateCartQuantity = async (req, res, next) => {
     try {
-        const { quantity } = req.body;
+        const { quantity, variantId } = req.body;
         
         if (!quantity || quantity < 1) {
             return res.status(400).json({
@@ -160,7 +183,7 @@ export const updateCartQuantity = async (req, res, next) => {
 
         // Find and update product quantity
         const productIndex = cart.products.findIndex(
-            item => item.product.toString() === req.params.productId
+            item => isSameLine(item, req.params.productId, variantId)
         );
 
         if (productIndex === -1) {
@@ -172,7 +195,8 @@ export const updateCartQuantity = async (req, res, next) => {
 
         // Check if quantity is available in stock
         const product = await Product.findById(req.params.productId);
-        if (product.stock < quantity) {
+        const variant = product && findVariant(product, variantId);
+        if (!product || product.archivedAt || !isPublished(product) || getAvailableStock(product, variant) < quantity) {
             return res.status(400).json({
                 success: false,
                 error: 'Requested quantity not available'
@@ -180,9 +204,7 @@ export const updateCartQuantity = async (req, res, next) => {
         }
 
         cart.products[productIndex].quantity = quantity;
-        cart.totalPrice = cart.products.reduce((total, item) => {
-            return total + (product.price * item.quantity);
-        }, 0);
+        cart.totalPrice = await calculateCartTotal(cart.products);
 
         cart.updatedAt = Date.now();
         await cart.save();
@@ -191,7 +213,7 @@ export const updateCartQuantity = async (req, res, next) => {
 
         res.status(200).json({
             success: true,
-            data: cart
+            data: withAvailability(cart, req.currency)
         });
     } catch (error) {
         next(error);
@@ -0,0 +1,259 @@
+import Product from "../models/products.js";
+import { parseCsv, toCsv } from "../utils/csv.js";
+import { addToSearchVocabulary } from "../utils/search.js";
+import { recordRevision, snapshotProduct } from "../utils/revisions.js";
+import {
+  keepOnHandStock,
+  recordStockEdits,
+  STOCK_EDIT_ERROR,
+} from "../utils/inventory.js";
+
+// Columns written on export and understood on import
+const CSV_COLUMNS = [
+  "sku",
+  "name",
+  "slug",
+  "description",
+  "price",
+  "compareAtPrice",
+  "stock",
+  "category",
+  "specs",
+  "options",
+  "variants",
+  "images",
+  "metaTitle",
+  "metaDescription",
+  "status",
+  "publishAt",
+];
+
+// Several image URLs share one cell, separated by "|"
+const IMAGE_SEPARATOR = "|";
+
+// Structured fields travel as JSON in a single cell
+const JSON_COLUMNS = ["specs", "options", "variants"];
+
+// JSON with object keys sorted, so equal values compare equal whatever the key order
+const canonicalJson = (value) =>
+  JSON.stringify(value, (key, item) =>
+    item && typeof item === "object" && !Array.isArray(item)
+      ? Object.fromEntries(Object.entries(item).sort(([a], [b]) => a.localeCompare(b)))
+      : item
+  );
+
+// Turn a CSV row into Product fields, leaving out blank cells.
+// Returns the fields and any cells that could not be read
+const rowToFields = (row) => {
+  const fields = {};
+  const errors = [];
+
+  CSV_COLUMNS.forEach((column) => {
+    const value = row[column];
+    if (value === undefined || value === "") return;
+
+    if (JSON_COLUMNS.includes(column)) {
+      try {
+        fields[column] = JSON.parse(value);
+      } catch (error) {
+        errors.push({ field: column, message: `Invalid JSON in ${column}` });
+      }
+    } else if (column === "images") {
+      fields.images = value
+        .split(IMAGE_SEPARATOR)
+        .map((url) => url.trim())
+        .filter(Boolean)
+        .map((url) => ({ url }));
+    } else {
+      fields[column] = value;
+    }
+  });
+
+  return { fields, errors };
+};
+
+// Flatten a mongoose ValidationError into row-level messages
+const toRowErrors = (error) => {
+  if (error.name !== "ValidationError") throw error;
+  return Object.values(error.errors).map((err) => ({
+    field: err.path,
+    message: err.message,
+  }));
+};
+
+// @desc Export the catalog as CSV
+// @route GET /api/admin/products/export
+// @access Private/Admin
+export const exportProducts = async (req, res, next) => {
+  try {
+    const query =
+      req.query.includeArchived === "true" ? {} : { archivedAt: null };
+    const products = await Product.find(query).sort({ sku: 1, _id: 1 }).lean();
+
+    const csv = toCsv(
+      CSV_COLUMNS,
+      products.map((product) => ({
+        ...product,
+        images: (product.images || [])
+          .map((image) => image.url)
+          .join(IMAGE_SEPARATOR),
+        publishAt: product.publishAt?.toISOString(),
+        specs: Object.keys(product.specs || {}).length
+          ? JSON.stringify(product.specs)
+          : "",
+        options: product.options?.length ? JSON.stringify(product.options) : "",
+        // Reservations belong to unpaid checkouts, not to the catalog
+        variants: product.variants?.length
+          ? JSON.stringify(
+              product.variants.map(({ reserved, ...variant }) => variant)
+            )
+          : "",
+      }))
+    );
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="technest-products-${date}.csv"`
+    );
+    res.status(200).send(csv);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Create or update products from a CSV file, matched by SKU
+// @route POST /api/admin/products/import
+// @access Private/Admin
+export const importProducts = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: "Please upload a CSV file",
+      });
+    }
+
+    const dryRun = req.query.dryRun === "true" || req.body.dryRun === "true";
+    const rows = parseCsv(req.file.buffer.toString("utf8"));
+
+    if (!rows.length) {
+      return res.status(400).json({
+        success: false,
+        error: "The CSV file has no data rows",
+      });
+    }
+
+    const summary = { created: 0, updated: 0, skipped: 0 };
+    const errors = [];
+    const seen = new Set();
+
+    for (const [index, row] of rows.entries()) {
+      // Row 1 is the header, so data starts on line 2
+      const line = index + 2;
+      const { fields, errors: cellErrors } = rowToFields(row);
+      const sku = fields.sku?.toUpperCase();
+
+      const reject = (rowErrors) => {
+        summary.skipped++;
+        errors.push({ row: line, sku: sku || null, errors: rowErrors });
+      };
+
+      if (!sku) {
+        reject([{ field: "sku", message: "Please add a SKU" }]);
+        continue;
+      }
+      if (seen.has(sku)) {
+        reject([{ field: "sku", message: `SKU ${sku} appears more than once in the file` }]);
+        continue;
+      }
+      seen.add(sku);
+      if (cellErrors.length) {
+        reject(cellErrors);
+        continue;
+      }
+
+      const existing = await Product.findOne({ sku });
+      const product = existing || new Product();
+      const before = existing ? snapshotProduct(existing) : null;
+
+      // Leave structured fields alone when the file has them as they are,
+      // e.g. when re-importing an export
+      if (existing) {
+        JSON_COLUMNS.forEach((column) => {
+          if (
+            fields[column] !== undefined &&
+            canonicalJson(fields[column]) === canonicalJson(before[column])
+          ) {
+            delete fields[column];
+          }
+        });
+      }
+
+      // Stock is only imported for new products
+      if (existing && keepOnHandStock(existing, fields)) {
+        reject([{ field: "stock", message: STOCK_EDIT_ERROR }]);
+        continue;
+      }
+
+      // Keep alt text and dimensions of images the file still lists
+      if (existing && fields.images) {
+        const sameUrls =
+          fields.images.length === existing.images.length &&
+          fields.images.every((image, i) => image.url === existing.images[i].url);
+        if (sameUrls) {
+          delete fields.images;
+        } else {
+          fields.images = fields.images.map(
+            (image) =>
+              existing.images.find((old) => old.url === image.url)?.toObject() ||
+              image
+          );
+        }
+      }
+      product.set(fields);
+
+      if (existing && !product.isModified()) {
+        summary.skipped++;
+        continue;
+      }
+
+      // Same rules as the Product schema
+      try {
+        await product.validate();
+      } catch (error) {
+        reject(toRowErrors(error));
+        continue;
+      }
+
+      if (!dryRun) {
+        try {
+          await product.save({ validateBeforeSave: false });
+        } catch (error) {
+          if (error.code !== 11000) throw error;
+          reject([{ field: Object.keys(error.keyValue || {})[0] || "sku", message: "Duplicate field value entered" }]);
+          continue;
+        }
+        addToSearchVocabulary(product);
+        await recordRevision({ product, action: "import", actor: req.user._id, before });
+        await recordStockEdits({ before, product, actor: req.user._id, reason: "Initial stock (catalog import)" });
+      }
+
+      if (existing) summary.updated++;
+      else summary.created++;
+    }
+
+    res.status(200).json({
+      success: true,
+      dryRun,
+      data: {
+        rows: rows.length,
+        ...summary,
+        errors,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
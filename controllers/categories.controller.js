@@ -0,0 +1,175 @@
+import Category from "../models/category.js";
+import Product from "../models/products.js";
+import { storeFile } from "../utils/storage/index.js";
+
+// Nest a flat, sorted category list under their parents
+const buildTree = (categories) => {
+  const nodes = new Map(
+    categories.map((c) => [c._id.toString(), { ...c, children: [] }])
+  );
+  const roots = [];
+
+  nodes.forEach((node) => {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  });
+
+  return roots;
+};
+
+// @desc Get categories as a tree (or a flat list with ?flat=true)
+// @route GET /api/categories, GET /api/admin/categories
+// @access Public
+export const getCategories = async (req, res, next) => {
+  try {
+    const categories = await Category.find()
+      .sort({ displayOrder: 1, name: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      data: req.query.flat === "true" ? categories : buildTree(categories),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Create category
+// @route POST /api/admin/categories
+// @access Private/Admin
+export const createCategory = async (req, res, next) => {
+  try {
+    const {
+      name,
+      slug,
+      description,
+      parent,
+      displayOrder,
+      attributes,
+      deviceCompatibility,
+    } = req.body;
+
+    const fields = {
+      name,
+      slug,
+      description,
+      displayOrder,
+      attributes,
+      deviceCompatibility,
+    };
+    if (parent) fields.parent = parent;
+
+    if (req.file) {
+      const upload = await storeFile(req.file, "categories");
+      fields.image = upload.url;
+    }
+
+    const category = await Category.create(fields);
+
+    res.status(201).json({
+      success: true,
+      data: category,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Update category
+// @route PUT /api/admin/categories/:id
+// @access Private/Admin
+export const updateCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: "Category not found",
+      });
+    }
+
+    const previousSlug = category.slug;
+
+    [
+      "name",
+      "slug",
+      "description",
+      "displayOrder",
+      "attributes",
+      "deviceCompatibility",
+    ].forEach((field) => {
+      if (req.body[field] !== undefined) category[field] = req.body[field];
+    });
+    if (req.body.parent !== undefined) {
+      category.parent = req.body.parent || null;
+    }
+
+    if (req.file) {
+      const upload = await storeFile(req.file, "categories");
+      category.image = upload.url;
+    }
+
+    await category.save();
+
+    // Products reference categories by slug, so carry them over to the new one
+    if (category.slug !== previousSlug) {
+      await Product.updateMany(
+        { category: previousSlug },
+        { $set: { category: category.slug } }
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: category,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Delete category
+// @route DELETE /api/admin/categories/:id
+// @access Private/Admin
+export const deleteCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: "Category not found",
+      });
+    }
+
+    if (await Category.exists({ parent: category._id })) {
+      return res.status(400).json({
+        success: false,
+        error: "Move or delete the subcategories of this category first",
+      });
+    }
+
+    const productCount = await Product.countDocuments({
+      category: category.slug,
+    });
+    if (productCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Category is used by ${productCount} product(s)`,
+      });
+    }
+
+    await category.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    next(error);
+  }
+};
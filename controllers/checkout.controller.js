@@ -1,7 +1,27 @@
 import Checkout from "../models/checkout.js";
 import Cart from "../models/cart.js";
+import Product from "../models/products.js";
 import paystack from "paystack-api";
 import crypto from "crypto";
+import {
+  isCursorRequest,
+  paginateWithCursor,
+  parsePagination,
+} from "../utils/cursor.js";
+import { findVariant } from "../utils/pricing.js";
+import { resolvePrice } from "../utils/sale.js";
+import { withAvailability } from "../utils/availability.js";
+import {
+  cancelSuspendedCheckouts,
+  commitCheckoutStock,
+  getReservationTtl,
+  releaseCheckoutStock,
+  releaseReservedItems,
+  reserveCheckoutStock,
+  restoreUnpaidHolds,
+  suspendUnpaidHolds,
+} from "../utils/inventory.js";
+import { BASE, convertAmount, localizeCheckout } from "../utils/currency.js";
 
 const paystackClient = paystack(process.env.PAYSTACK_SECRET_KEY);
 
@@ -9,6 +29,8 @@ const paystackClient = paystack(process.env.PAYSTACK_SECRET_KEY);
 // @route   POST /api/checkout/initialize
 // @access  Private
 export const initializeCheckout = async (req, res, next) => {
+  // Holds of the user's earlier unpaid checkouts, released for this attempt
+  let suspended = [];
   try {
     const { shippingAddress, paymentMethod } = req.body;
 
@@ -20,38 +42,108 @@ export const initializeCheckout = async (req, res, next) => {
       });
     }
 
+    // This checkout replaces the user's earlier unpaid ones, so their holds are
+    // released first and the shopper isn't short of items they hold themselves.
+    // If this attempt fails the holds are put back and those checkouts stay payable
+    suspended = await suspendUnpaidHolds(req.user.id);
+
     // Get user's cart with populated products
     const cart = await Cart.findOne({ user: req.user.id }).populate(
       "products.product"
     );
 
     if (!cart || cart.products.length === 0) {
+      await restoreUnpaidHolds(suspended);
       return res.status(400).json({
         success: false,
         error: "Cart is empty",
       });
     }
 
-    // Create snapshot of cart items at checkout time
+    // Refuse to charge for archived, removed or out of stock items
+    const unavailable = withAvailability(cart).products.filter(
+      (item) => !item.available
+    );
+    if (unavailable.length) {
+      await restoreUnpaidHolds(suspended);
+      return res.status(400).json({
+        success: false,
+        error: "One or more products in cart are no longer available",
+        data: unavailable.map((item) => ({
+          product: item.product?._id || null,
+          variant: item.variant,
+          reason: item.unavailableReason,
+        })),
+      });
+    }
+
+    // Bundle components, so the snapshot records what each bundle contained
+    const components = new Map(
+      (
+        await Product.find(
+          {
+            _id: {
+              $in: cart.products.flatMap((item) =>
+                item.product.bundleItems.map((component) => component.product)
+              ),
+            },
+          },
+          "name sku variants"
+        )
+      ).map((component) => [component._id.toString(), component])
+    );
+
+    // Charge in the shopper's currency when the gateway takes it, otherwise in the base currency
+    const chargeCurrency = req.currency.chargeable ? req.currency : BASE;
+
+    // Create snapshot of cart items at checkout time, priced at one instant
+    const now = new Date();
     const items = cart.products.map((item) => {
-      // Handle case where product might not be populated or deleted
-      if (!item.product) {
-        throw new Error("One or more products in cart are no longer available");
-      }
+      const variant = findVariant(item.product, item.variant);
+      const pricing = resolvePrice(item.product, variant, now);
 
       return {
         product: item.product._id,
+        variant: variant?._id,
+        sku: variant?.sku,
+        options: variant?.options,
         name: item.product.name,
-        price: item.product.price,
+        price: pricing.price,
+        chargedPrice: convertAmount(pricing.price, chargeCurrency),
+        compareAtPrice: pricing.compareAtPrice,
         quantity: item.quantity,
-        image: item.product.images?.[0] || "",
+        image: variant?.images?.[0] || item.product.images?.[0]?.url || "",
+        bundleItems: item.product.bundleItems.map((entry) => {
+          const component = components.get(entry.product.toString());
+          const componentVariant =
+            component && findVariant(component, entry.variant);
+          return {
+            product: entry.product,
+            variant: entry.variant,
+            sku: componentVariant?.sku || component?.sku,
+            name: component?.name || "Removed product",
+            quantity: entry.quantity,
+          };
+        }),
       };
     });
 
-    // Initialize Paystack transaction
+    // Charge the snapshot prices, not a possibly stale cart total
+    const totalPrice = items.reduce(
+      (total, item) => total + item.price * item.quantity,
+      0
+    );
+    const chargedTotal = Number(
+      items
+        .reduce((total, item) => total + item.chargedPrice * item.quantity, 0)
+        .toFixed(chargeCurrency.decimals)
+    );
+
+    // Initialize Paystack transaction (amount in the currency's subunit)
     const paymentData = {
       email: req.user.email,
-      amount: Math.round(cart.totalPrice * 100),
+      amount: Math.round(chargedTotal * 100),
+      currency: chargeCurrency.code,
       callback_url: `${process.env.FRONTEND_URL}/payment/verify`,
       metadata: {
         userId: req.user.id,
@@ -66,30 +158,60 @@ export const initializeCheckout = async (req, res, next) => {
       },
     };
 
-    const payment = await paystackClient.transaction.initialize(paymentData);
+    // Hold the items while the shopper pays; other shoppers see them as taken
+    const reservation = await reserveCheckoutStock(items);
+    if (!reservation.reserved) {
+      await restoreUnpaidHolds(suspended);
+      return res.status(400).json({
+        success: false,
+        error: "Not enough stock left for one or more products in cart",
+        data: {
+          product: reservation.line.product,
+          variant: reservation.line.variant || null,
+        },
+      });
+    }
+
+    let payment;
+    let checkout;
+    try {
+      payment = await paystackClient.transaction.initialize(paymentData);
+
+      // Create checkout record with items snapshot
+      checkout = await Checkout.create({
+        user: req.user.id,
+        cart: cart._id,
+        items: items, // Store the snapshot of cart items
+        totalPrice,
+        currency: chargeCurrency.code,
+        exchangeRate: chargeCurrency.rate,
+        chargedTotal,
+        paymentMethod,
+        shippingAddress,
+        paymentReference: payment.data.reference,
+        status: "pending",
+        stockReservedUntil: new Date(Date.now() + getReservationTtl()),
+      });
+    } catch (error) {
+      // Nothing can pay for the held items now
+      await releaseReservedItems(items);
+      throw error;
+    }
 
-    // Create checkout record with items snapshot
-    const checkout = await Checkout.create({
-      user: req.user.id,
-      cart: cart._id,
-      items: items, // Store the snapshot of cart items
-      totalPrice: cart.totalPrice,
-      paymentMethod,
-      shippingAddress,
-      paymentReference: payment.data.reference,
-      status: "pending",
-    });
+    await cancelSuspendedCheckouts(suspended);
+    suspended = [];
 
     res.status(201).json({
       success: true,
       data: {
-        checkout,
+        checkout: localizeCheckout(checkout, req.currency),
         authorizationUrl: payment.data.authorization_url,
         reference: payment.data.reference,
         accessCode: payment.data.access_code,
       },
     });
   } catch (error) {
+    await restoreUnpaidHolds(suspended);
     next(error);
   }
 };
@@ -139,6 +261,9 @@ export const verifyPayment = async (req, res, next) => {
         });
       }
 
+      // Take the sold items (or bundle components) out of inventory
+      await commitCheckoutStock(checkout._id);
+
       // Clear the cart after successful payment
       await Cart.findOneAndUpdate(
         { _id: checkout.cart._id },
@@ -148,14 +273,15 @@ export const verifyPayment = async (req, res, next) => {
       res.status(200).json({
         success: true,
         message: "Payment verified successfully",
-        data: checkout,
+        data: localizeCheckout(checkout, req.currency),
       });
     } else {
-      // Update checkout status to failed
-      await Checkout.findOneAndUpdate(
+      // Update checkout status to failed and put its items back on sale
+      const failed = await Checkout.findOneAndUpdate(
         { paymentReference: reference },
         { status: "failed" }
       );
+      if (failed) await releaseCheckoutStock(failed._id);
 
       res.status(400).json({
         success: false,
@@ -220,6 +346,8 @@ export const webhookHandler = async (req, res, next) => {
       ).populate("cart");
 
       if (checkout) {
+        await commitCheckoutStock(checkout._id);
+
         // Clear the cart
         await Cart.findOneAndUpdate(
           { _id: checkout.cart._id },
@@ -256,7 +384,7 @@ export const getCheckoutById = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      data: checkout,
+      data: localizeCheckout(checkout, req.currency),
     });
   } catch (error) {
     next(error);
@@ -268,20 +396,42 @@ export const getCheckoutById = async (req, res, next) => {
 // @access  Private
 export const getCheckoutHistory = async (req, res, next) => {
   try {
-    const { status, page = 1, limit = 10 } = req.query;
+    const { status } = req.query;
+    const { page, limit } = parsePagination(req.query);
 
     const filter = { user: req.user.id };
     if (status) {
       filter.status = status;
     }
 
+    // Cursor mode: stable while new checkouts are created, no totals
+    if (isCursorRequest(req.query)) {
+      const sort = { createdAt: -1, _id: -1 };
+      const { data, pagination } = await paginateWithCursor({
+        query: filter,
+        sort,
+        cursor: req.query.cursor,
+        limit,
+        find: (query, size) =>
+          Checkout.find(query).populate("cart").sort(sort).limit(size),
+      });
+
+      return res.status(200).json({
+        success: true,
+        count: data.length,
+        nextCursor: pagination.nextCursor,
+        hasMore: pagination.hasMore,
+        data: data.map((checkout) => localizeCheckout(checkout, req.currency)),
+      });
+    }
+
     const skip = (page - 1) * limit;
 
     const checkouts = await Checkout.find(filter)
       .populate("cart")
       .sort("-createdAt")
       .skip(skip)
-      .limit(parseInt(limit));
+      .limit(limit);
 
     const total = await Checkout.countDocuments(filter);
 
@@ -290,8 +440,10 @@ export const getCheckoutHistory = async (req, res, next) => {
       count: checkouts.length,
       total,
       totalPages: Math.ceil(total / limit),
-      currentPage: parseInt(page),
-      data: checkouts,
+      currentPage: page,
+      data: checkouts.map((checkout) =>
+        localizeCheckout(checkout, req.currency)
+      ),
     });
   } catch (error) {
     next(error);
@@ -325,11 +477,12 @@ export const cancelCheckout = async (req, res, next) => {
 
     checkout.status = "cancelled";
     await checkout.save();
+    await releaseCheckoutStock(checkout._id);
 
     res.status(200).json({
       success: true,
       message: "Checkout cancelled successfully",
-      data: checkout,
+      data: localizeCheckout(checkout, req.currency),
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,137 @@
+import Currency from "../models/currency.js";
+import { BASE, BASE_CURRENCY, invalidateCurrencies } from "../utils/currency.js";
+
+const CURRENCY_FIELDS = [
+  "name",
+  "symbol",
+  "rate",
+  "decimals",
+  "roundingIncrement",
+  "roundingMode",
+  "chargeable",
+  "active",
+];
+
+const baseCurrencyError = (res) =>
+  res.status(400).json({
+    success: false,
+    error: `${BASE_CURRENCY} is the base currency prices are stored in and cannot be managed`,
+  });
+
+// @desc Get the currencies prices can be shown in, base currency first
+// @route GET /api/currencies
+// @access Public
+export const getCurrencies = async (req, res, next) => {
+  try {
+    const currencies = await Currency.find({ active: true })
+      .select("code name symbol rate decimals chargeable")
+      .sort({ code: 1 });
+
+    res.status(200).json({
+      success: true,
+      base: BASE_CURRENCY,
+      count: currencies.length + 1,
+      data: [BASE, ...currencies],
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Get every managed currency, including inactive ones
+// @route GET /api/admin/currencies
+// @access Private/Admin
+export const getAdminCurrencies = async (req, res, next) => {
+  try {
+    const currencies = await Currency.find().sort({ code: 1 });
+
+    res.status(200).json({
+      success: true,
+      base: BASE_CURRENCY,
+      count: currencies.length,
+      data: currencies,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Add a currency with its exchange rate and rounding rules
+// @route POST /api/admin/currencies
+// @access Private/Admin
+export const createCurrency = async (req, res, next) => {
+  try {
+    if (String(req.body.code || "").toUpperCase() === BASE_CURRENCY) {
+      return baseCurrencyError(res);
+    }
+
+    const fields = { code: req.body.code };
+    CURRENCY_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+    const currency = await Currency.create(fields);
+    invalidateCurrencies();
+
+    res.status(201).json({
+      success: true,
+      data: currency,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Update a currency's exchange rate, rounding rules or availability
+// @route PUT /api/admin/currencies/:id
+// @access Private/Admin
+export const updateCurrency = async (req, res, next) => {
+  try {
+    const currency = await Currency.findById(req.params.id);
+
+    if (!currency) {
+      return res.status(404).json({
+        success: false,
+        error: "Currency not found",
+      });
+    }
+
+    CURRENCY_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) currency[field] = req.body[field];
+    });
+    await currency.save();
+    invalidateCurrencies();
+
+    res.status(200).json({
+      success: true,
+      data: currency,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Delete a currency (past checkouts keep the currency they were charged in)
+// @route DELETE /api/admin/currencies/:id
+// @access Private/Admin
+export const deleteCurrency = async (req, res, next) => {
+  try {
+    const currency = await Currency.findById(req.params.id);
+
+    if (!currency) {
+      return res.status(404).json({
+        success: false,
+        error: "Currency not found",
+      });
+    }
+
+    await currency.deleteOne();
+    invalidateCurrencies();
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    next(error);
+  }
+};
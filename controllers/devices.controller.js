@@ -0,0 +1,105 @@
+import Device from "../models/device.js";
+import Product from "../models/products.js";
+
+// @desc Get devices, optionally filtered by brand
+// @route GET /api/devices, GET /api/admin/devices
+// @access Public
+export const getDevices = async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.brand) {
+      query.brand = new RegExp(
+        `^${req.query.brand.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`,
+        "i"
+      );
+    }
+
+    const devices = await Device.find(query).sort({
+      brand: 1,
+      model: 1,
+      generation: 1,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: devices.length,
+      data: devices,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Create device
+// @route POST /api/admin/devices
+// @access Private/Admin
+export const createDevice = async (req, res, next) => {
+  try {
+    const { brand, model, generation } = req.body;
+    const device = await Device.create({ brand, model, generation });
+
+    res.status(201).json({
+      success: true,
+      data: device,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Update device
+// @route PUT /api/admin/devices/:id
+// @access Private/Admin
+export const updateDevice = async (req, res, next) => {
+  try {
+    const device = await Device.findById(req.params.id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: "Device not found",
+      });
+    }
+
+    ["brand", "model", "generation"].forEach((field) => {
+      if (req.body[field] !== undefined) device[field] = req.body[field];
+    });
+    await device.save();
+
+    res.status(200).json({
+      success: true,
+      data: device,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Delete device and unlink it from products
+// @route DELETE /api/admin/devices/:id
+// @access Private/Admin
+export const deleteDevice = async (req, res, next) => {
+  try {
+    const device = await Device.findById(req.params.id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: "Device not found",
+      });
+    }
+
+    await Product.updateMany(
+      { compatibleDevices: device._id },
+      { $pull: { compatibleDevices: device._id } }
+    );
+    await device.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,224 @@
+import mongoose from "mongoose";
+import Product from "../models/products.js";
+import InventoryMovement, {
+  MOVEMENT_TYPES,
+} from "../models/inventoryMovement.js";
+import { findVariant, getAvailableStock } from "../utils/pricing.js";
+import { moveStock } from "../utils/inventory.js";
+
+// Sales are recorded by paid checkouts; everything else can be posted by admins
+const ADJUSTMENT_TYPES = MOVEMENT_TYPES.filter((type) => type !== "sale");
+
+// Types whose quantity is a count of units coming in or going out
+const INBOUND_TYPES = ["restock", "return"];
+const OUTBOUND_TYPES = ["damage"];
+
+const productNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: "Product not found",
+  });
+
+const badRequest = (res, error) =>
+  res.status(400).json({
+    success: false,
+    error,
+  });
+
+const notEnoughAvailable = (res, change, available) =>
+  badRequest(
+    res,
+    `Cannot remove ${-change} units, only ${Math.max(0, available)} on hand and not reserved`
+  );
+
+// On-hand, reserved and available units of a product and its variants
+const getBalance = (product) => ({
+  stock: product.stock,
+  reserved: product.reserved || 0,
+  available: getAvailableStock(product),
+  variants: product.variants.map((variant) => ({
+    _id: variant._id,
+    sku: variant.sku,
+    options: variant.options,
+    stock: variant.stock,
+    reserved: variant.reserved || 0,
+    available: getAvailableStock(product, variant),
+  })),
+});
+
+// @desc Get a product's on-hand stock balance
+// @route GET /api/admin/products/:id/inventory
+// @access Private/Admin
+export const getProductInventory = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return productNotFound(res);
+    const product = await Product.findById(
+      req.params.id,
+      "name sku type stock reserved variants"
+    );
+    if (!product) return productNotFound(res);
+
+    const lastMovement = await InventoryMovement.findOne({
+      product: product._id,
+    }).sort({ createdAt: -1, _id: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        product: {
+          _id: product._id,
+          name: product.name,
+          sku: product.sku,
+          type: product.type,
+        },
+        ...getBalance(product),
+        lastMovementAt: lastMovement ? lastMovement.createdAt : null,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Get a product's inventory movements, newest first
+// @route GET /api/admin/products/:id/inventory/movements
+// @access Private/Admin
+export const getInventoryMovements = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return productNotFound(res);
+    if (!(await Product.exists({ _id: req.params.id }))) {
+      return productNotFound(res);
+    }
+
+    if (req.query.type && !MOVEMENT_TYPES.includes(req.query.type)) {
+      return badRequest(
+        res,
+        `Type must be one of: ${MOVEMENT_TYPES.join(", ")}`
+      );
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const query = { product: req.params.id };
+    if (req.query.type) query.type = req.query.type;
+    if (req.query.variant) {
+      if (!mongoose.isValidObjectId(req.query.variant)) {
+        return badRequest(res, "Invalid variant ID");
+      }
+      query.variant = req.query.variant;
+    }
+
+    const total = await InventoryMovement.countDocuments(query);
+    const movements = await InventoryMovement.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("actor", "firstName lastName email");
+
+    res.status(200).json({
+      success: true,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit,
+      },
+      data: movements,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Post a restock, return, damage or manual adjustment
+// @route POST /api/admin/products/:id/inventory/adjustments
+// @access Private/Admin
+export const createStockAdjustment = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return productNotFound(res);
+    const product = await Product.findById(req.params.id);
+    if (!product) return productNotFound(res);
+
+    const { type, variant: variantId, reason, reference } = req.body;
+    const quantity = Number(req.body.quantity);
+
+    if (!ADJUSTMENT_TYPES.includes(type)) {
+      return badRequest(
+        res,
+        `Type must be one of: ${ADJUSTMENT_TYPES.join(", ")}`
+      );
+    }
+    if (!Number.isInteger(quantity) || quantity === 0) {
+      return badRequest(res, "Quantity must be a whole number other than 0");
+    }
+    if ((INBOUND_TYPES.includes(type) || OUTBOUND_TYPES.includes(type)) && quantity < 0) {
+      return badRequest(
+        res,
+        `Quantity for a ${type} is the number of units and must be positive`
+      );
+    }
+    if (!reason || !String(reason).trim()) {
+      return badRequest(res, "Please give a reason for the stock movement");
+    }
+
+    if (product.type === "bundle") {
+      return badRequest(
+        res,
+        "Bundle stock follows its components; adjust the components instead"
+      );
+    }
+
+    const variant = findVariant(product, variantId);
+    if (product.variants.length && !variant) {
+      return badRequest(res, "Choose one of the product's variants");
+    }
+    if (!product.variants.length && variantId) {
+      return badRequest(res, "This product has no variants");
+    }
+
+    // Signed change to on-hand units. Units held by unpaid checkouts can't be
+    // removed, or their sale would have nothing left to take
+    const change = OUTBOUND_TYPES.includes(type) ? -quantity : quantity;
+    const available = getAvailableStock(product, variant);
+    if (available + change < 0) {
+      return notEnoughAvailable(res, change, available);
+    }
+
+    // The update checks availability again, in case a checkout reserved units since
+    const movement = await moveStock({
+      product: product._id,
+      variant: variant?._id,
+      type,
+      quantity: change,
+      keepReserved: change < 0,
+      reason,
+      reference,
+      actor: req.user._id,
+    });
+    if (!movement) {
+      const current = await Product.findById(product._id, "stock reserved variants");
+      if (!current) return productNotFound(res);
+      return notEnoughAvailable(
+        res,
+        change,
+        getAvailableStock(current, findVariant(current, variant?._id))
+      );
+    }
+
+    // Bundles built from this product may have more or fewer units now
+    await Product.refreshBundleStock([product._id]);
+    const updated = await Product.findById(
+      product._id,
+      "stock reserved variants"
+    );
+
+    res.status(201).json({
+      success: true,
+      data: movement,
+      balance: getBalance(updated),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,183 @@
+import Product, { MAX_PRODUCT_IMAGES } from "../models/products.js";
+import { storeFile, removeFile } from "../utils/storage/index.js";
+import { recordRevision, snapshotProduct } from "../utils/revisions.js";
+
+// Save a gallery change and record it in the product's history
+const saveGallery = async (product, before, actor) => {
+  await product.save({ validateModifiedOnly: true });
+  await recordRevision({ product, action: "update", actor, before });
+};
+
+const productNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: "Product not found",
+  });
+
+const imageNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: "Image not found",
+  });
+
+// @desc Add images to the end of a product's gallery
+// @route POST /api/products/:id/images
+// @access Private/Admin
+export const addProductImages = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return productNotFound(res);
+    const before = snapshotProduct(product);
+
+    if (!req.files || !req.files.length) {
+      return res.status(400).json({
+        success: false,
+        error: "Please upload at least one image",
+      });
+    }
+
+    if (product.images.length + req.files.length > MAX_PRODUCT_IMAGES) {
+      return res.status(400).json({
+        success: false,
+        error: `A product cannot have more than ${MAX_PRODUCT_IMAGES} images`,
+      });
+    }
+
+    const uploads = await Promise.all(
+      req.files.map((file) => storeFile(file, "products"))
+    );
+    uploads.forEach((upload) => {
+      product.images.push({ ...upload, alt: req.body.alt || product.name });
+    });
+
+    await saveGallery(product, before, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      data: product.images,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Update an image's alt text
+// @route PUT /api/products/:id/images/:imageId
+// @access Private/Admin
+export const updateProductImage = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return productNotFound(res);
+    const before = snapshotProduct(product);
+
+    const image = product.images.id(req.params.imageId);
+    if (!image) return imageNotFound(res);
+
+    if (req.body.alt !== undefined) image.alt = req.body.alt;
+    await saveGallery(product, before, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: image,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Remove one image from a product's gallery
+// @route DELETE /api/products/:id/images/:imageId
+// @access Private/Admin
+export const removeProductImage = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return productNotFound(res);
+    const before = snapshotProduct(product);
+
+    const image = product.images.id(req.params.imageId);
+    if (!image) return imageNotFound(res);
+
+    const { publicId, storage } = image;
+    image.deleteOne();
+    await saveGallery(product, before, req.user._id);
+
+    // The gallery is already updated, so a failed cleanup only leaves an orphaned file
+    if (publicId) {
+      removeFile(publicId, storage).catch((error) =>
+        console.error(`Could not delete image ${publicId}:`, error)
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: product.images,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Reorder a product's gallery
+// @route PUT /api/products/:id/images/order
+// @access Private/Admin
+export const reorderProductImages = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return productNotFound(res);
+    const before = snapshotProduct(product);
+
+    const order = Array.isArray(req.body.order) ? req.body.order.map(String) : [];
+    const current = product.images.map((image) => image._id.toString());
+
+    // Must list every image exactly once
+    if (
+      order.length !== current.length ||
+      new Set(order).size !== order.length ||
+      !order.every((id) => current.includes(id))
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "Order must list every image ID of the product exactly once",
+      });
+    }
+
+    product.images = order.map((id) => product.images.id(id).toObject());
+    await saveGallery(product, before, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: product.images,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Make an image the primary (first) image of the gallery
+// @route PUT /api/products/:id/images/:imageId/primary
+// @access Private/Admin
+export const setPrimaryProductImage = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return productNotFound(res);
+    const before = snapshotProduct(product);
+
+    const image = product.images.id(req.params.imageId);
+    if (!image) return imageNotFound(res);
+
+    product.images = [
+      image.toObject(),
+      ...product.images
+        .filter((other) => !other._id.equals(image._id))
+        .map((other) => other.toObject()),
+    ];
+    await saveGallery(product, before, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: product.images,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,443 @@
+import mongoose from "mongoose";
+import { validationResult } from "express-validator";
+import Product from "../models/products.js";
+import User from "../models/user.js";
+import ProductQuestion, {
+  MODERATION_STATUSES,
+} from "../models/productQuestion.js";
+import { isPublished } from "../utils/productQuery.js";
+import { isVerifiedBuyer, notifyAsker } from "../utils/questions.js";
+
+// Question listing sorts; `_id` breaks ties so pages never overlap
+const QUESTION_SORTS = {
+  helpful: { upvoteCount: -1, createdAt: -1, _id: -1 },
+  newest: { createdAt: -1, _id: -1 },
+};
+
+const AUTHOR_FIELDS = "firstName lastName avatar";
+
+const productNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: "Product not found",
+  });
+
+const questionNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: "Question not found",
+  });
+
+const answerNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: "Answer not found",
+  });
+
+// Questions can only be asked about products shoppers can see
+const findVisibleProduct = (id) =>
+  Product.findOne({ _id: id, archivedAt: null }, "name slug status").then(
+    (product) => (product && isPublished(product) ? product : null)
+  );
+
+const findQuestion = (req) =>
+  ProductQuestion.findOne({
+    _id: req.params.questionId,
+    product: req.params.id,
+  });
+
+const sameUser = (a, b) => Boolean(a && b) && String(a._id || a) === String(b._id || b);
+
+// What shoppers see: approved answers, best first, and vote counts instead
+// of the voters (plus the caller's own pending posts), without moderation details
+const presentQuestion = (question, user) => {
+  const { upvotes, answers, moderatedBy, ...rest } = question.toObject();
+  return {
+    ...rest,
+    upvoted: upvotes.some((voter) => sameUser(voter, user)),
+    answers: answers
+      .filter(
+        (answer) => answer.status === "approved" || sameUser(answer.user, user)
+      )
+      .sort((a, b) => b.upvoteCount - a.upvoteCount || a.createdAt - b.createdAt)
+      .map(
+        ({
+          upvotes: answerVotes,
+          moderatedBy: answerModerator,
+          askerNotifiedAt,
+          ...answer
+        }) => ({
+          ...answer,
+          upvoted: answerVotes.some((voter) => sameUser(voter, user)),
+        })
+      ),
+  };
+};
+
+// Email the asker the first time one of their answers becomes visible
+const notifyOnce = async (question, answer) => {
+  if (answer.status !== "approved" || answer.askerNotifiedAt) return;
+  if (question.status !== "approved") return;
+
+  const [asker, product] = await Promise.all([
+    User.findById(question.user, "email"),
+    Product.findById(question.product, "name slug"),
+  ]);
+  if (!asker || !product) return;
+
+  answer.askerNotifiedAt = new Date();
+  await question.save();
+
+  // Sending can be slow, so it does not hold up the response
+  notifyAsker({ asker, question, answer, product }).catch((error) =>
+    console.error("Could not send answer notification:", error)
+  );
+};
+
+// @desc Get a product's questions with their answers
+// @route GET /api/products/:id/questions
+// @access Public
+export const getProductQuestions = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return productNotFound(res);
+    const product = await findVisibleProduct(req.params.id);
+    if (!product) return productNotFound(res);
+
+    if (req.query.sort && !QUESTION_SORTS[req.query.sort]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid sort option. Use one of: ${Object.keys(QUESTION_SORTS).join(", ")}`,
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+
+    // Askers also see their own questions while they await moderation
+    const query = req.user
+      ? {
+          product: product._id,
+          $or: [
+            { status: "approved" },
+            { user: req.user._id, status: "pending" },
+          ],
+        }
+      : { product: product._id, status: "approved" };
+
+    const total = await ProductQuestion.countDocuments(query);
+    const questions = await ProductQuestion.find(query)
+      .sort(QUESTION_SORTS[req.query.sort || "helpful"])
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("user", AUTHOR_FIELDS)
+      .populate("answers.user", AUTHOR_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit,
+      },
+      data: questions.map((question) => presentQuestion(question, req.user)),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Ask a question about a product
+// @route POST /api/products/:id/questions
+// @access Private
+export const createProductQuestion = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) return productNotFound(res);
+    const product = await findVisibleProduct(req.params.id);
+    if (!product) return productNotFound(res);
+
+    // Questions from the team need no moderation
+    const isAdmin = req.user.role === "admin";
+    const question = await ProductQuestion.create({
+      product: product._id,
+      user: req.user._id,
+      question: req.body.question,
+      status: isAdmin ? "approved" : "pending",
+      moderatedBy: isAdmin ? req.user._id : undefined,
+      moderatedAt: isAdmin ? new Date() : undefined,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: presentQuestion(question, req.user),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Answer a question (admins and verified buyers of the product)
+// @route POST /api/products/:id/questions/:questionId/answers
+// @access Private
+export const createQuestionAnswer = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const question = await findQuestion(req);
+    if (!question || question.status !== "approved") {
+      return questionNotFound(res);
+    }
+
+    const isAdmin = req.user.role === "admin";
+    const verifiedBuyer = await isVerifiedBuyer(req.user._id, question.product);
+    if (!isAdmin && !verifiedBuyer) {
+      return res.status(403).json({
+        success: false,
+        error: "Only verified buyers of this product can answer questions",
+      });
+    }
+
+    // Answers from the team are published straight away
+    question.answers.push({
+      user: req.user._id,
+      answer: req.body.answer,
+      isAdmin,
+      isVerifiedBuyer: verifiedBuyer,
+      status: isAdmin ? "approved" : "pending",
+      moderatedBy: isAdmin ? req.user._id : undefined,
+      moderatedAt: isAdmin ? new Date() : undefined,
+    });
+    const answer = question.answers[question.answers.length - 1];
+    await question.save();
+
+    await notifyOnce(question, answer);
+
+    res.status(201).json({
+      success: true,
+      data: presentQuestion(question, req.user),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Upvote a question, or remove the upvote
+// @route POST|DELETE /api/products/:id/questions/:questionId/upvote
+// @access Private
+export const voteQuestion = async (req, res, next) => {
+  try {
+    const question = await findQuestion(req);
+    if (!question || question.status !== "approved") {
+      return questionNotFound(res);
+    }
+
+    // Conditional updates keep one vote per user under concurrent requests
+    const removing = req.method === "DELETE";
+    const filter = {
+      _id: question._id,
+      upvotes: removing ? req.user._id : { $ne: req.user._id },
+    };
+    const update = removing
+      ? { $pull: { upvotes: req.user._id }, $inc: { upvoteCount: -1 } }
+      : { $push: { upvotes: req.user._id }, $inc: { upvoteCount: 1 } };
+
+    const updated =
+      (await ProductQuestion.findOneAndUpdate(filter, update, { new: true })) ||
+      (await ProductQuestion.findById(question._id));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        upvoteCount: updated.upvoteCount,
+        upvoted: updated.upvotes.some((voter) => voter.equals(req.user._id)),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Upvote an answer, or remove the upvote
+// @route POST|DELETE /api/products/:id/questions/:questionId/answers/:answerId/upvote
+// @access Private
+export const voteAnswer = async (req, res, next) => {
+  try {
+    const question = await findQuestion(req);
+    if (!question || question.status !== "approved") {
+      return questionNotFound(res);
+    }
+
+    const answer = question.answers.id(req.params.answerId);
+    if (!answer || answer.status !== "approved") return answerNotFound(res);
+
+    const removing = req.method === "DELETE";
+    const filter = {
+      _id: question._id,
+      answers: {
+        $elemMatch: {
+          _id: answer._id,
+          upvotes: removing ? req.user._id : { $ne: req.user._id },
+        },
+      },
+    };
+    const update = removing
+      ? {
+          $pull: { "answers.$.upvotes": req.user._id },
+          $inc: { "answers.$.upvoteCount": -1 },
+        }
+      : {
+          $push: { "answers.$.upvotes": req.user._id },
+          $inc: { "answers.$.upvoteCount": 1 },
+        };
+
+    const updated =
+      (await ProductQuestion.findOneAndUpdate(filter, update, { new: true })) ||
+      (await ProductQuestion.findById(question._id));
+    const votedAnswer = updated.answers.id(answer._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        upvoteCount: votedAnswer.upvoteCount,
+        upvoted: votedAnswer.upvotes.some((voter) =>
+          voter.equals(req.user._id)
+        ),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const validateStatus = (req, res) => {
+  if (!MODERATION_STATUSES.includes(req.body.status)) {
+    res.status(400).json({
+      success: false,
+      error: `Status must be one of: ${MODERATION_STATUSES.join(", ")}`,
+    });
+    return false;
+  }
+  return true;
+};
+
+// @desc Approve or reject a question
+// @route PUT /api/products/:id/questions/:questionId/moderation
+// @access Private/Admin
+export const moderateQuestion = async (req, res, next) => {
+  try {
+    if (!validateStatus(req, res)) return;
+
+    const question = await findQuestion(req);
+    if (!question) return questionNotFound(res);
+
+    question.status = req.body.status;
+    question.moderatedBy = req.user._id;
+    question.moderatedAt = new Date();
+    await question.save();
+
+    res.status(200).json({
+      success: true,
+      data: question,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Approve or reject an answer; the asker is emailed once it is approved
+// @route PUT /api/products/:id/questions/:questionId/answers/:answerId/moderation
+// @access Private/Admin
+export const moderateAnswer = async (req, res, next) => {
+  try {
+    if (!validateStatus(req, res)) return;
+
+    const question = await findQuestion(req);
+    if (!question) return questionNotFound(res);
+
+    const answer = question.answers.id(req.params.answerId);
+    if (!answer) return answerNotFound(res);
+
+    answer.status = req.body.status;
+    answer.moderatedBy = req.user._id;
+    answer.moderatedAt = new Date();
+    await question.save();
+
+    await notifyOnce(question, answer);
+
+    res.status(200).json({
+      success: true,
+      data: question,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Delete a question and its answers
+// @route DELETE /api/products/:id/questions/:questionId
+// @access Private/Admin
+export const deleteQuestion = async (req, res, next) => {
+  try {
+    const question = await findQuestion(req);
+    if (!question) return questionNotFound(res);
+
+    await question.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc List questions and answers awaiting moderation, oldest first
+// @route GET /api/admin/questions
+// @access Private/Admin
+export const getModerationQueue = async (req, res, next) => {
+  try {
+    const status = req.query.status || "pending";
+    if (!MODERATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${MODERATION_STATUSES.join(", ")}`,
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    // A question shows up when it, or any of its answers, has the status
+    const query = { $or: [{ status }, { "answers.status": status }] };
+    const total = await ProductQuestion.countDocuments(query);
+    const questions = await ProductQuestion.find(query)
+      .sort({ createdAt: 1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("product", "name slug")
+      .populate("user", "firstName lastName email")
+      .populate("answers.user", "firstName lastName email");
+
+    res.status(200).json({
+      success: true,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit,
+      },
+      data: questions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,132 @@
+import Product from "../models/products.js";
+import ProductRevision from "../models/productRevision.js";
+import { recordRevision, snapshotProduct, ROLLBACK_FIELDS } from "../utils/revisions.js";
+import { recordStockEdits } from "../utils/inventory.js";
+import { addToSearchVocabulary } from "../utils/search.js";
+import { parsePagination } from "../utils/cursor.js";
+
+// @desc Get a product's change history, newest first
+// @route GET /api/admin/products/:id/revisions
+// @access Private/Admin
+export const getProductRevisions = async (req, res, next) => {
+  try {
+    const { page, limit } = parsePagination(req.query, 20);
+    const query = { product: req.params.id };
+
+    const total = await ProductRevision.countDocuments(query);
+    const revisions = await ProductRevision.find(query, "-snapshot")
+      .sort({ version: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("actor", "firstName lastName email");
+
+    res.status(200).json({
+      success: true,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit,
+      },
+      data: revisions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Get one revision, including the product state it produced
+// @route GET /api/admin/products/:id/revisions/:version
+// @access Private/Admin
+export const getProductRevision = async (req, res, next) => {
+  try {
+    const revision = await ProductRevision.findOne({
+      product: req.params.id,
+      version: Number(req.params.version),
+    }).populate("actor", "firstName lastName email");
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: "Revision not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: revision,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Roll a product back to the state of an earlier revision
+// @route POST /api/admin/products/:id/revisions/:version/rollback
+// @access Private/Admin
+export const rollbackProduct = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: "Product not found",
+      });
+    }
+
+    const version = Number(req.params.version);
+    const revision = await ProductRevision.findOne({
+      product: product._id,
+      version,
+    });
+
+    if (!revision || !revision.snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: "Revision not found",
+      });
+    }
+
+    // Archiving is left as it is; use the delete and restore endpoints for that.
+    // Variants keep their current stock (none for variants restored after removal)
+    const before = snapshotProduct(product);
+    const currentStock = new Map(
+      product.variants.map((variant) => [variant._id.toString(), variant.stock])
+    );
+    ROLLBACK_FIELDS.forEach((field) => {
+      let value = revision.snapshot[field] ?? undefined;
+      if (field === "variants" && value) {
+        value = value.map((variant) => ({
+          ...variant,
+          stock: currentStock.get(String(variant._id)) ?? 0,
+        }));
+      }
+      product.set(field, value);
+    });
+    await product.save();
+    addToSearchVocabulary(product);
+
+    const rollback = await recordRevision({
+      product,
+      action: "rollback",
+      actor: req.user._id,
+      before,
+      revertedTo: version,
+    });
+    await recordStockEdits({
+      before,
+      product,
+      actor: req.user._id,
+      reason: `Rolled back to version ${version}`,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: product,
+      revision: rollback,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,6 +1,50 @@
 import Product from "../models/products.js";
+import Cart from "../models/cart.js";
+import Wishlist from "../models/wishlist.js";
+import ProductRecommendation from "../models/productRecommendation.js";
 import { validationResult } from "express-validator";
-import { uploadBuffer } from "../utils/cloudinary.js";
+import { storeFile } from "../utils/storage/index.js";
+import {
+  expandSearchTerms,
+  addToSearchVocabulary,
+} from "../utils/search.js";
+import {
+  buildProductFilters,
+  combineFilters,
+  getProductFacets,
+  PRODUCT_SORTS,
+  ACTIVE_PRODUCT,
+  isPublished,
+} from "../utils/productQuery.js";
+import {
+  isCursorRequest,
+  paginateWithCursor,
+  parsePagination,
+} from "../utils/cursor.js";
+import { calculateCartTotal, getAvailableStock } from "../utils/pricing.js";
+import { MAX_RECOMMENDATIONS } from "../utils/recommendations.js";
+import { recordRevision, snapshotProduct } from "../utils/revisions.js";
+import {
+  keepOnHandStock,
+  recordStockEdits,
+  STOCK_EDIT_ERROR,
+} from "../utils/inventory.js";
+import ProductRevision from "../models/productRevision.js";
+import { localizeProduct } from "../utils/currency.js";
+import RecentlyViewed from "../models/recentlyViewed.js";
+import { getHistoryOwner, recordView } from "../utils/recentlyViewed.js";
+import {
+  getSuggestions,
+  recordSearchQuery,
+  MAX_SUGGESTIONS,
+} from "../utils/suggestions.js";
+
+// Count a search that found products towards popular queries, off the request path
+const trackSearch = (q) => {
+  recordSearchQuery(q).catch((error) =>
+    console.error("Could not record search query:", error)
+  );
+};
 
 // @desc Get all products
 // @route GET /api/products
@@ -9,21 +53,87 @@ import { uploadBuffer } from "../utils/cloudinary.js";
 export const getProducts = async (req, res) => {
   try {
     //Pagination
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
+    const { page, limit } = parsePagination(req.query);
     const startIndex = (page - 1) * limit;
 
-    // Build query
-    let query = {};
+    // Sort option
+    if (req.query.sort && !PRODUCT_SORTS[req.query.sort]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid sort option. Use one of: ${Object.keys(PRODUCT_SORTS).join(", ")}`,
+      });
+    }
+
+    // Build query (archived products never show in public listings)
+    const base = { ...ACTIVE_PRODUCT };
+
+    // Full-text search, relevance sorted unless another sort is requested
+    let projection = {};
+    let sort = {};
+    if (req.query.q && req.query.q.trim()) {
+      const search = await expandSearchTerms(req.query.q);
+      if (search) {
+        base.$text = { $search: search };
+        projection = { score: { $meta: "textScore" } };
+        sort = { score: { $meta: "textScore" } };
+      }
+    }
+
+    // Category, price, rating and stock filters
+    const filters = await buildProductFilters(req.query);
+    const query = combineFilters(base, filters);
+
+    const order = req.query.sort
+      ? PRODUCT_SORTS[req.query.sort]
+      : { ...sort, _id: 1 };
+
+    // Cursor mode: keyset pagination without totals
+    if (isCursorRequest(req.query)) {
+      if (order.score) {
+        return res.status(400).json({
+          success: false,
+          error: "Cursor pagination requires a sort option when searching",
+        });
+      }
+
+      const result = await paginateWithCursor({
+        query,
+        sort: order,
+        cursor: req.query.cursor,
+        limit,
+        find: (filter, size) => Product.find(filter).sort(order).limit(size),
+      });
 
-    // Filter by category
-    if (req.query.category) {
-      query.category = req.query.category;
+      // Facets only change with the filters, so only send them with the first page
+      const facets = req.query.cursor
+        ? undefined
+        : await getProductFacets(base, filters);
+
+      if (base.$text && !req.query.cursor && result.data.length) {
+        trackSearch(req.query.q);
+      }
+
+      return res.status(200).json({
+        success: true,
+        pagination: result.pagination,
+        facets,
+        data: result.data.map((product) =>
+          localizeProduct(product, req.currency)
+        ),
+      });
     }
 
     // Execute query with pagination
     const total = await Product.countDocuments(query);
-    const products = await Product.find(query).skip(startIndex).limit(limit);
+    const products = await Product.find(query, projection)
+      .sort(order)
+      .skip(startIndex)
+      .limit(limit);
+
+    // Facet counts for the filter sidebar
+    const facets = await getProductFacets(base, filters);
+
+    if (base.$text && page === 1 && total) trackSearch(req.query.q);
 
     // Pagination result
     const pagination = {
@@ -36,12 +146,13 @@ export const getProducts = async (req, res) => {
     res.status(200).json({
       success: true,
       pagination,
-      data: products,
+      facets,
+      data: products.map((product) => localizeProduct(product, req.currency)),
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: "Server Error",
+      error: error.statusCode ? error.message : "Server Error",
     });
   }
 };
@@ -56,17 +167,26 @@ export const createProduct = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    // If files are present (memory buffers), upload them to Cloudinary
+    // If files are present (memory buffers), send them to media storage
     if (req.files && req.files.length) {
       const uploads = await Promise.all(
-        req.files.map((file) =>
-          uploadBuffer(file.buffer, { folder: "technest/products" })
-        )
+        req.files.map((file) => storeFile(file, "products"))
       );
-      req.body.images = uploads.map((u) => u.secure_url);
+      req.body.images = uploads.map((upload) => ({
+        ...upload,
+        alt: req.body.imageAlt || req.body.name,
+      }));
     }
 
     const product = await Product.create(req.body);
+    addToSearchVocabulary(product);
+    await recordRevision({ product, action: "create", actor: req.user._id });
+    await recordStockEdits({
+      before: null,
+      product,
+      actor: req.user._id,
+      reason: "Initial stock",
+    });
 
     res.status(201).json({
       success: true,
@@ -77,7 +197,7 @@ export const createProduct = async (req, res, next) => {
   }
 };
 
-// @desc Delete product
+// @desc Archive product (soft delete)
 // @route DELETE /api/products/:id
 // @access Private/Admin
 export const deleteProduct = async (req, res) => {
@@ -91,10 +211,22 @@ export const deleteProduct = async (req, res) => {
       });
     }
 
-    await product.deleteOne();
+    // Keep the document so order history, carts and wishlists still resolve it
+    if (!product.archivedAt) {
+      const before = snapshotProduct(product);
+      product.archivedAt = Date.now();
+      await product.save({ validateBeforeSave: false });
+      await recordRevision({
+        product,
+        action: "delete",
+        actor: req.user._id,
+        before,
+      });
+    }
+
     res.status(200).json({
       success: true,
-      data: {},
+      data: product,
     });
   } catch (error) {
     console.error(error);
@@ -105,12 +237,178 @@ export const deleteProduct = async (req, res) => {
   }
 };
 
+// @desc Restore an archived product
+// @route PUT /api/products/:id/restore
+// @access Private/Admin
+export const restoreProduct = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: "Product not found",
+      });
+    }
+
+    if (product.archivedAt) {
+      const before = snapshotProduct(product);
+      product.archivedAt = null;
+      await product.save({ validateBeforeSave: false });
+      addToSearchVocabulary(product);
+      await recordRevision({
+        product,
+        action: "restore",
+        actor: req.user._id,
+        before,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: product,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Get products in any publication state, optionally by status
+// @route GET /api/admin/products
+// @access Private/Admin
+export const getAdminProducts = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const query = { archivedAt: null };
+    if (req.query.status) query.status = req.query.status;
+
+    const total = await Product.countDocuments(query);
+    const products = await Product.find(query)
+      .sort({ updatedAt: -1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit,
+      },
+      data: products,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Get archived products
+// @route GET /api/admin/products/archived
+// @access Private/Admin
+export const getArchivedProducts = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const query = { archivedAt: { $ne: null } };
+
+    const total = await Product.countDocuments(query);
+    const products = await Product.find(query)
+      .sort({ archivedAt: -1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit,
+      },
+      data: products,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Permanently delete products archived longer than the retention period
+// @route DELETE /api/admin/products/archived
+// @access Private/Admin
+export const purgeArchivedProducts = async (req, res, next) => {
+  try {
+    const retentionDays = Number(
+      req.query.retentionDays ?? process.env.PRODUCT_RETENTION_DAYS ?? 30
+    );
+    if (!Number.isFinite(retentionDays) || retentionDays < 0) {
+      return res.status(400).json({
+        success: false,
+        error: "retentionDays must be a non-negative number",
+      });
+    }
+
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const products = await Product.find(
+      { archivedAt: { $ne: null, $lte: cutoff } },
+      "_id"
+    );
+    const ids = products.map((p) => p._id);
+
+    if (ids.length) {
+      // Drop purged products from carts (recomputing totals) and wishlists
+      const carts = await Cart.find({ "products.product": { $in: ids } });
+      for (const cart of carts) {
+        cart.products = cart.products.filter(
+          (item) => !ids.some((id) => id.equals(item.product))
+        );
+        cart.totalPrice = await calculateCartTotal(cart.products);
+        cart.updatedAt = Date.now();
+        await cart.save();
+      }
+
+      await Wishlist.updateMany(
+        { "products.product": { $in: ids } },
+        { $pull: { products: { product: { $in: ids } } } }
+      );
+
+      await Product.deleteMany({ _id: { $in: ids } });
+
+      // Keep the history of purged products, ending with the purge
+      const latest = await ProductRevision.aggregate([
+        { $match: { product: { $in: ids } } },
+        { $group: { _id: "$product", version: { $max: "$version" } } },
+      ]);
+      const versions = new Map(latest.map((r) => [r._id.toString(), r.version]));
+      await ProductRevision.insertMany(
+        ids.map((id) => ({
+          product: id,
+          version: (versions.get(id.toString()) || 0) + 1,
+          action: "purge",
+          actor: req.user._id,
+        }))
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        purged: ids.length,
+        retentionDays,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc Update product
 // @route PUT /api/products/:id
 // @access Private/Admin
 export const updateProduct = async (req, res, next) => {
   try {
-    let product = await Product.findById(req.params.id);
+    const product = await Product.findById(req.params.id);
 
     if (!product) {
       return res.status(404).json({
@@ -119,19 +417,41 @@ export const updateProduct = async (req, res, next) => {
       });
     }
 
+    if (keepOnHandStock(product, req.body)) {
+      return res.status(400).json({
+        success: false,
+        error: STOCK_EDIT_ERROR,
+      });
+    }
+
     // Upload new images if provided
     if (req.files && req.files.length) {
       const uploads = await Promise.all(
-        req.files.map((file) =>
-          uploadBuffer(file.buffer, { folder: "technest/products" })
-        )
+        req.files.map((file) => storeFile(file, "products"))
       );
-      req.body.images = uploads.map((u) => u.secure_url);
+      req.body.images = uploads.map((upload) => ({
+        ...upload,
+        alt: req.body.imageAlt || req.body.name || product.name,
+      }));
     }
 
-    product = await Product.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
+    // Save through the document so variant validation and stock totals run.
+    // Stock only changes here when variants are removed
+    const before = snapshotProduct(product);
+    product.set(req.body);
+    await product.save();
+    addToSearchVocabulary(product);
+    await recordRevision({
+      product,
+      action: "update",
+      actor: req.user._id,
+      before,
+    });
+    await recordStockEdits({
+      before,
+      product,
+      actor: req.user._id,
+      reason: "Variants removed",
     });
 
     res.status(200).json({
@@ -143,6 +463,63 @@ export const updateProduct = async (req, res, next) => {
   }
 };
 
+// @desc Get autocomplete suggestions for a partial search
+// @route GET /api/products/suggest
+// @access Public
+export const getSearchSuggestions = async (req, res, next) => {
+  try {
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 8, 1),
+      MAX_SUGGESTIONS
+    );
+    const data = await getSuggestions(req.query.q || "", limit);
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Get the caller's recently viewed products, most recent first
+// @route GET /api/products/recently-viewed
+// @access Public (user history with a token, visitor history with X-Visitor-Id)
+export const getRecentlyViewed = async (req, res, next) => {
+  try {
+    const owner = getHistoryOwner(req);
+    const history =
+      owner &&
+      (await RecentlyViewed.findOne(owner).populate("items.product"));
+
+    const excludeArchived = req.query.excludeArchived === "true";
+    const inStock = req.query.inStock === "true";
+
+    // Purged and unpublished products always drop out
+    const data = (history?.items || [])
+      .filter(({ product }) => product && isPublished(product))
+      .filter(({ product }) => !excludeArchived || !product.archivedAt)
+      .filter(({ product }) => !inStock || getAvailableStock(product) > 0)
+      .map(({ product, viewedAt }) => ({
+        ...localizeProduct(product, req.currency),
+        viewedAt,
+      }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Shoppers only see published products; admins can preview the rest
+const canView = (product, user) => isPublished(product) || user?.role === "admin";
+
 // @desc Get single product
 // @route GET /api/products/:id
 // @access Public
@@ -150,16 +527,24 @@ export const getProductById = async (req, res, next) => {
   try {
     const product = await Product.findById(req.params.id);
 
-    if (!product) {
+    if (!product || !canView(product, req.user)) {
       return res.status(404).json({
         success: false,
         error: "Product not found",
       });
     }
 
+    // Remember the view without holding up the response
+    const owner = getHistoryOwner(req);
+    if (owner && isPublished(product) && !product.archivedAt) {
+      recordView(owner, product._id).catch((error) =>
+        console.error("Could not record product view:", error)
+      );
+    }
+
     res.status(200).json({
       success: true,
-      data: product,
+      data: localizeProduct(product, req.currency),
     });
   } catch (error) {
     res.status(500).json({
@@ -169,6 +554,136 @@ export const getProductById = async (req, res, next) => {
   }
 };
 
+// @desc Get single product by slug
+// @route GET /api/products/slug/:slug
+// @access Public
+export const getProductBySlug = async (req, res, next) => {
+  try {
+    const slug = req.params.slug.toLowerCase();
+    const product = await Product.findOne({ slug });
+
+    if (product && canView(product, req.user)) {
+      return res.status(200).json({
+        success: true,
+        data: localizeProduct(product, req.currency),
+      });
+    }
+
+    // Old slug: send the client to the product's current URL
+    const renamed = await Product.findOne(
+      { previousSlugs: slug },
+      "slug status"
+    );
+    if (renamed && canView(renamed, req.user)) {
+      return res.redirect(301, `${req.baseUrl}/slug/${renamed.slug}`);
+    }
+
+    res.status(404).json({
+      success: false,
+      error: "Product not found",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Get the devices a product is compatible with
+// @route GET /api/products/:id/compatibility
+// @access Public
+export const getProductCompatibility = async (req, res, next) => {
+  try {
+    const product = await Product.findById(
+      req.params.id,
+      "name slug category status compatibleDevices"
+    ).populate({
+      path: "compatibleDevices",
+      options: { sort: { brand: 1, model: 1, generation: 1 } },
+    });
+
+    if (!product || !canView(product, req.user)) {
+      return res.status(404).json({
+        success: false,
+        error: "Product not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: product.compatibleDevices.length,
+      data: {
+        product: {
+          _id: product._id,
+          name: product.name,
+          slug: product.slug,
+          category: product.category,
+        },
+        devices: product.compatibleDevices,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Read one of a product's precomputed rankings, skipping products archived since the last refresh
+const sendRecommendations = async (req, res, next, field, scoreKey, as) => {
+  try {
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 8, 1),
+      MAX_RECOMMENDATIONS
+    );
+
+    const product = await Product.findById(req.params.id, "status");
+    if (!product || !canView(product, req.user)) {
+      return res.status(404).json({
+        success: false,
+        error: "Product not found",
+      });
+    }
+
+    // Rankings appear after the next scheduled refresh
+    const recommendation = await ProductRecommendation.findOne({
+      product: req.params.id,
+    }).populate({ path: `${field}.product`, match: ACTIVE_PRODUCT });
+
+    const data = (recommendation ? recommendation[field] : [])
+      .filter((entry) => entry.product)
+      .slice(0, limit)
+      .map((entry) => ({
+        ...localizeProduct(entry.product, req.currency),
+        [as]: entry[scoreKey],
+      }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      refreshedAt: recommendation ? recommendation.refreshedAt : null,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc Get products related by category and shared attributes
+// @route GET /api/products/:id/related
+// @access Public
+export const getRelatedProducts = (req, res, next) =>
+  sendRecommendations(req, res, next, "related", "score", "relevance");
+
+// @desc Get products frequently bought together with this one
+// @route GET /api/products/:id/bought-together
+// @access Public
+export const getBoughtTogether = (req, res, next) =>
+  sendRecommendations(
+    req,
+    res,
+    next,
+    "boughtTogether",
+    "count",
+    "timesBoughtTogether"
+  );
+
 // @desc Add a review for a product
 // @route POST /api/products/:id/reviews
 // @access Private
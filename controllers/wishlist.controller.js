@@ -1,5 +1,7 @@
 import Wishlist from "../models/wishlist.js";
 import Product from "../models/products.js";
+import { withAvailability } from "../utils/availability.js";
+import { isPublished } from "../utils/productQuery.js";
 
 // @desc Add to Wishlist
 // @route POST /api/wishlist
@@ -7,7 +9,7 @@ import Product from "../models/products.js";
 
 export const addToWishlist = async (req, res, next) => {
     try {
-        const { productId } = req.body;
+        const { productId, variantId } = req.body;
 
         // Validate if the product exists
         const product = await Product.findById(productId);
@@ -18,6 +20,14 @@ export const addToWishlist = async (req, res, next) => {
             });
         }
 
+        // Validate the variant, if one was picked
+        if (variantId && !product.variants.id(variantId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Variant not found'
+            });
+        }
+
         // Find existing wishlist or create one
         let wishlist = await Wishlist.findOne({ user: req.user.id });
 
@@ -29,18 +39,24 @@ export const addToWishlist = async (req, res, next) => {
         }
 
 
-        // Check if product already exists in wishlist
+        // Check if product (and variant) already exists in wishlist
         const existingProductIndex = wishlist.products.findIndex(
-            item => item.product.toString() === productId
+            item => item.product.toString() === productId &&
+                String(item.variant || '') === String(variantId || '')
         );
 
         if (existingProductIndex > -1) {
             // Do not add if product exists
-            wishlist.products.remove({ product: productId })
+            wishlist.products.splice(existingProductIndex, 1);
 
+        } else if (product.archivedAt || !isPublished(product)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Product is no longer available'
+            });
         } else {
             // Add new product if it doesn't exist
-            wishlist.products.push({ product: productId })
+            wishlist.products.push({ product: productId, variant: variantId || undefined })
         }
 
         wishlist.updatedAt = Date.now();
@@ -51,7 +67,7 @@ export const addToWishlist = async (req, res, next) => {
 
         res.status(200).json({
             success: true,
-            data: wishlist
+            data: withAvailability(wishlist, req.currency)
         });
 
     } catch (error) {
@@ -81,9 +97,10 @@ export const getWishlist = async (req, res, next) => {
             });
         }
 
+        // Archived or removed products stay listed but are flagged unavailable
         res.status(200).json({
             success: true,
-            data: wishlist
+            data: withAvailability(wishlist, req.currency)
         });
 
     } catch (error) {
@@ -107,9 +124,11 @@ export const removeFromWishlist = async (req, res, next) => {
             });
         }
 
-        // Remove product from wishlist
+        // Remove product from wishlist (only the given variant when ?variantId= is passed)
+        const { variantId } = req.query;
         wishlist.products = wishlist.products.filter(
-            item => item.product.toString() !== req.params.productId
+            item => item.product.toString() !== req.params.productId ||
+                (variantId && String(item.variant || '') !== variantId)
         );
 
         wishlist.updatedAt = Date.now();
@@ -119,7 +138,7 @@ export const removeFromWishlist = async (req, res, next) => {
 
         res.status(200).json({
             success: true,
-            data: wishlist
+            data: withAvailability(wishlist, req.currency)
         });
 
     } catch (error) {
@@ -47,6 +47,22 @@ export const protect = async (req, res, next) => {
     }
 };
 
+// Identify the user when a valid token is sent, without requiring one
+export const optionalAuth = async (req, res, next) => {
+    const header = req.headers.authorization;
+    if (!header || !header.startsWith('Bearer')) return next();
+
+    try {
+        const decoded = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET);
+        if (decoded.id) {
+            req.user = await User.findById(decoded.id).select('-password');
+        }
+    } catch (err) {
+        // An invalid token just means an anonymous request here
+    }
+    next();
+};
+
 // Grant access to specific roles
 export const authorize = (...roles) => {
     return (req, res, next) => {
@@ -0,0 +1,26 @@
+import { BASE, CURRENCY_HEADER, findCurrency } from '../utils/currency.js';
+
+// Set req.currency from the `currency` query parameter or X-Currency header,
+// defaulting to the base currency
+export const resolveCurrency = async (req, res, next) => {
+    const requested = req.query.currency || req.headers[CURRENCY_HEADER];
+    if (!requested) {
+        req.currency = BASE;
+        return next();
+    }
+
+    try {
+        const currency = await findCurrency(requested);
+        if (!currency) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported currency: ${requested}`
+            });
+        }
+
+        req.currency = currency;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
@@ -26,3 +26,19 @@ export const upload = multer({
 export const uploadSingleAvatar = upload.single('avatar');
 export const uploadSingle = upload.single('image');
 export const uploadMultiple = upload.array('images', 10);
+
+// CSV uploads for bulk catalog imports
+const csvFilter = (req, file, cb) => {
+    const isCsv = path.extname(file.originalname).toLowerCase() === '.csv';
+    if (isCsv) {
+        cb(null, true);
+    } else {
+        cb(new Error('Please upload a .csv file'), false);
+    }
+};
+
+export const uploadCsv = multer({
+    storage,
+    fileFilter: csvFilter,
+    limits: { fileSize: 2000000 } // 2MB
+}).single('file');
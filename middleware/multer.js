@@ -1,3 +1,5 @@
+import multer from 'multer';
+
 export const handleMulterErrors = (err, req, res, next) => {
     if (err instanceof multer.MulterError) {
         console.error('Multer error:', err);
@@ -0,0 +1,18 @@
+// Parse JSON-encoded fields sent in multipart/form-data bodies,
+// e.g. a product's `variants` array sent alongside uploaded images
+export const parseJsonFields = (...fields) => {
+    return (req, res, next) => {
+        for (const field of fields) {
+            if (typeof req.body?.[field] !== 'string') continue;
+            try {
+                req.body[field] = JSON.parse(req.body[field]);
+            } catch (err) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid JSON in field "${field}"`
+                });
+            }
+        }
+        next();
+    };
+};
@@ -12,6 +12,10 @@ const CartSchema = new mongoose.Schema({
             ref: 'Product',
             required: true
         },
+        // Selected variant (_id of an entry in product.variants), if the product has variants
+        variant: {
+            type: mongoose.Schema.Types.ObjectId
+        },
         quantity: {
             type: Number,
             required: true,
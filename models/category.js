@@ -0,0 +1,213 @@
+import mongoose from 'mongoose';
+import { slugify } from '../utils/slugify.js';
+import { ATTRIBUTE_KEY, RANGE_SUFFIX } from '../utils/specs.js';
+
+// Typed spec a product in this category (or any subcategory) can have
+const attributeSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Please add an attribute key'],
+    trim: true,
+    lowercase: true,
+    match: [ATTRIBUTE_KEY, 'Attribute keys may only contain lowercase letters, numbers and underscores'],
+    validate: {
+      validator: (key) => !RANGE_SUFFIX.test(key),
+      message: 'Attribute keys cannot end in _gt, _gte, _lt or _lte, which filters use for ranges'
+    }
+  },
+  label: {
+    type: String,
+    required: [true, 'Please add an attribute label'],
+    trim: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Please add an attribute type'],
+    enum: ['number', 'enum', 'boolean']
+  },
+  // Display unit for number attributes, e.g. "W" or "mAh"
+  unit: {
+    type: String,
+    trim: true
+  },
+  // Allowed values for enum attributes
+  values: [
+    {
+      type: String,
+      trim: true
+    }
+  ]
+}, { _id: false });
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a category name'],
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  // Products reference categories by slug
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  image: {
+    type: String
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Every category above this one, root first
+  ancestors: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    }
+  ],
+  displayOrder: {
+    type: Number,
+    default: 0
+  },
+  attributes: [attributeSchema],
+  // Products here (or in a subcategory) can list the devices they fit, e.g. cases
+  deviceCompatibility: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+categorySchema.index({ ancestors: 1 });
+categorySchema.index({ parent: 1, displayOrder: 1 });
+
+// Attribute keys must be unique and enum attributes need their allowed values
+categorySchema.pre('validate', function (next) {
+  const keys = new Set();
+  this.attributes.forEach((attribute, index) => {
+    if (keys.has(attribute.key)) {
+      this.invalidate(`attributes.${index}.key`, `Duplicate attribute key ${attribute.key}`);
+    }
+    keys.add(attribute.key);
+
+    if (attribute.type === 'enum' && !attribute.values.length) {
+      this.invalidate(`attributes.${index}.values`, `Please add the allowed values for ${attribute.label}`);
+    }
+  });
+  next();
+});
+
+// Generate the slug and rebuild the ancestor path when the parent changes
+categorySchema.pre('save', async function (next) {
+  try {
+    if (!this.slug) {
+      this.slug = slugify(this.name);
+    } else if (this.isModified('slug')) {
+      this.slug = slugify(this.slug);
+    }
+
+    if (this.isNew || this.isModified('parent')) {
+      if (this.parent) {
+        const parent = await this.constructor.findById(this.parent);
+        if (!parent) {
+          return next(Object.assign(new Error('Parent category not found'), { statusCode: 404 }));
+        }
+        if (parent._id.equals(this._id) || parent.ancestors.some((id) => id.equals(this._id))) {
+          return next(Object.assign(new Error('A category cannot be moved under itself'), { statusCode: 400 }));
+        }
+        this.ancestors = [...parent.ancestors, parent._id];
+      } else {
+        this.ancestors = [];
+      }
+      this.$locals.pathChanged = !this.isNew;
+    }
+
+    this.updatedAt = Date.now();
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Keep descendants' ancestor paths in sync after a move
+categorySchema.post('save', async function () {
+  if (!this.$locals.pathChanged) return;
+  this.$locals.pathChanged = false;
+
+  const descendants = await this.constructor.find({ ancestors: this._id });
+  await Promise.all(
+    descendants.map((descendant) => {
+      const index = descendant.ancestors.findIndex((id) => id.equals(this._id));
+      descendant.ancestors = [...this.ancestors, this._id, ...descendant.ancestors.slice(index + 1)];
+      return this.constructor.updateOne(
+        { _id: descendant._id },
+        { ancestors: descendant.ancestors }
+      );
+    })
+  );
+});
+
+/**
+ * Attribute definitions that apply to a category, including those inherited
+ * from its ancestors (a subcategory's definition wins on the same key).
+ */
+categorySchema.statics.getAttributeDefinitions = async function (slug) {
+  const category = await this.findOne({ slug }, 'ancestors attributes');
+  if (!category) return new Map();
+
+  const ancestors = await this.find({ _id: { $in: category.ancestors } }, 'attributes');
+  const byId = new Map(ancestors.map((a) => [a._id.toString(), a]));
+  const chain = [
+    ...category.ancestors.map((id) => byId.get(id.toString())).filter(Boolean),
+    category
+  ];
+
+  const definitions = new Map();
+  chain.forEach((c) => c.attributes.forEach((a) => definitions.set(a.key, a)));
+  return definitions;
+};
+
+/**
+ * Whether products in the category can be linked to compatible devices.
+ * Subcategories inherit the setting from their ancestors.
+ */
+categorySchema.statics.supportsDeviceCompatibility = async function (slug) {
+  const category = await this.findOne({ slug }, 'ancestors deviceCompatibility');
+  if (!category) return false;
+  if (category.deviceCompatibility) return true;
+
+  return Boolean(
+    await this.exists({ _id: { $in: category.ancestors }, deviceCompatibility: true })
+  );
+};
+
+/**
+ * Resolve category slugs to themselves plus the slugs of all their descendants.
+ */
+categorySchema.statics.expandSlugs = async function (slugs) {
+  if (!slugs.length) return [];
+
+  const categories = await this.find({ slug: { $in: slugs } }, '_id slug');
+  const descendants = await this.find(
+    { ancestors: { $in: categories.map((c) => c._id) } },
+    'slug'
+  );
+
+  return [...new Set([...slugs, ...descendants.map((c) => c.slug)])];
+};
+
+export default mongoose.model('Category', categorySchema);
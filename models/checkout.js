@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { BASE_CURRENCY } from "../utils/currency.js";
 
 const CheckoutSchema = new mongoose.Schema({
   user: {
@@ -19,6 +20,17 @@ const CheckoutSchema = new mongoose.Schema({
         ref: "Product",
         required: true,
       },
+      // Variant chosen at checkout time, with its SKU and option values
+      variant: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+      sku: {
+        type: String,
+      },
+      options: {
+        type: Map,
+        of: String,
+      },
       name: {
         type: String,
         required: true,
@@ -27,6 +39,14 @@ const CheckoutSchema = new mongoose.Schema({
         type: Number,
         required: true,
       },
+      // Unit price in the charged currency, after conversion and rounding
+      chargedPrice: {
+        type: Number,
+      },
+      // "Was" price at checkout time when the item was discounted
+      compareAtPrice: {
+        type: Number,
+      },
       quantity: {
         type: Number,
         required: true,
@@ -35,6 +55,32 @@ const CheckoutSchema = new mongoose.Schema({
       image: {
         type: String,
       },
+      // What a bundle contained at checkout time, per bundle
+      bundleItems: [
+        {
+          product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Product",
+            required: true,
+          },
+          variant: {
+            type: mongoose.Schema.Types.ObjectId,
+          },
+          sku: {
+            type: String,
+          },
+          name: {
+            type: String,
+            required: true,
+          },
+          quantity: {
+            type: Number,
+            required: true,
+            min: 1,
+          },
+          _id: false,
+        },
+      ],
     },
   ],
   totalPrice: {
@@ -42,6 +88,21 @@ const CheckoutSchema = new mongoose.Schema({
     required: true,
     min: 0,
   },
+  // Currency the payment was taken in, the base-to-charged rate used and
+  // the amount charged; totalPrice and item prices stay in the base currency
+  currency: {
+    type: String,
+    uppercase: true,
+    default: BASE_CURRENCY,
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1,
+  },
+  chargedTotal: {
+    type: Number,
+    min: 0,
+  },
   paymentMethod: {
     type: String,
     enum: ["debit-card", "bank-transfer", "paystack"],
@@ -65,6 +126,21 @@ const CheckoutSchema = new mongoose.Schema({
     type: Object,
     default: {},
   },
+  // Items are held for the checkout until this time while payment is pending
+  stockReservedUntil: {
+    type: Date,
+    default: null,
+  },
+  // Set once the held items were put back on sale (cancelled, failed or expired)
+  stockReleasedAt: {
+    type: Date,
+    default: null,
+  },
+  // Set once the items have been taken out of inventory
+  stockCommittedAt: {
+    type: Date,
+    default: null,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -81,6 +157,9 @@ CheckoutSchema.pre("save", function (next) {
   next();
 });
 
+// Finds unpaid checkouts whose reservation has run out
+CheckoutSchema.index({ status: 1, stockReservedUntil: 1 });
+
 const Checkout = mongoose.model("Checkout", CheckoutSchema);
 
 export default Checkout;
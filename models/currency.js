@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+// A currency shoppers can see prices in, converted from the base currency
+// prices are stored in (BASE_CURRENCY, see utils/currency.js)
+const currencySchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Please add a currency code'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency code must be a 3-letter ISO 4217 code']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  symbol: {
+    type: String,
+    trim: true,
+    maxlength: [5, 'Symbol cannot be more than 5 characters']
+  },
+  // Units of this currency per one unit of the base currency
+  rate: {
+    type: Number,
+    required: [true, 'Please add an exchange rate'],
+    min: [0.000001, 'Exchange rate must be positive']
+  },
+  // Rounding rules applied to every converted price
+  decimals: {
+    type: Number,
+    default: 2,
+    min: [0, 'Decimals cannot be negative'],
+    max: [4, 'Decimals cannot be more than 4']
+  },
+  // Round to a multiple of this amount, e.g. 0.05 or 100 (0 rounds to `decimals`)
+  roundingIncrement: {
+    type: Number,
+    default: 0,
+    min: [0, 'Rounding increment cannot be negative']
+  },
+  roundingMode: {
+    type: String,
+    enum: ['nearest', 'up', 'down'],
+    default: 'nearest'
+  },
+  // Whether the payment gateway can charge in this currency; otherwise
+  // checkouts are charged in the base currency
+  chargeable: {
+    type: Boolean,
+    default: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+currencySchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export default mongoose.model('Currency', currencySchema);
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+import { generateUniqueSlug } from '../utils/slugify.js';
+
+// Phones, tablets and watches that accessories can be marked compatible with
+const deviceSchema = new mongoose.Schema({
+  brand: {
+    type: String,
+    required: [true, 'Please add a brand'],
+    trim: true,
+    maxlength: [50, 'Brand cannot be more than 50 characters']
+  },
+  model: {
+    type: String,
+    required: [true, 'Please add a model'],
+    trim: true,
+    maxlength: [100, 'Model cannot be more than 100 characters']
+  },
+  // e.g. "15 Pro Max", "3rd generation"
+  generation: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Generation cannot be more than 50 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+deviceSchema.index({ brand: 1, model: 1, generation: 1 }, { unique: true });
+
+// Slug like "apple-iphone-15-pro", generated once so device URLs stay stable
+deviceSchema.pre('save', async function (next) {
+  try {
+    if (!this.slug) {
+      this.slug = await generateUniqueSlug(
+        this.constructor,
+        [this.brand, this.model, this.generation].filter(Boolean).join(' '),
+        { excludeId: this._id }
+      );
+    }
+    this.updatedAt = Date.now();
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Find a device by its ID or its slug.
+ */
+deviceSchema.statics.findByIdOrSlug = function (idOrSlug) {
+  return mongoose.isValidObjectId(idOrSlug)
+    ? this.findById(idOrSlug)
+    : this.findOne({ slug: String(idOrSlug).toLowerCase() });
+};
+
+export default mongoose.model('Device', deviceSchema);
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// Why on-hand stock changed
+export const MOVEMENT_TYPES = ['sale', 'restock', 'return', 'adjustment', 'damage'];
+
+// One change to a product's (or variant's) on-hand stock. Reservations
+// don't move stock and are not recorded here.
+const inventoryMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: true
+  },
+  // Change in on-hand units: positive in, negative out
+  quantity: {
+    type: Number,
+    required: true
+  },
+  // On-hand units of the product (or variant) after the movement
+  balance: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot be more than 200 characters']
+  },
+  // Free-form reference such as a supplier invoice or RMA number
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot be more than 100 characters']
+  },
+  // The paid checkout behind a sale
+  checkout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Checkout'
+  },
+  // Admin who moved the stock, or the buyer for sales
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+inventoryMovementSchema.index({ checkout: 1 });
+
+export default mongoose.model('InventoryMovement', inventoryMovementSchema);
@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+
+// Moderation states; only approved questions and answers are shown to shoppers
+export const MODERATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+const moderationFields = {
+  status: {
+    type: String,
+    enum: MODERATION_STATUSES,
+    default: 'pending'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: {
+    type: Date
+  }
+};
+
+const answerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  answer: {
+    type: String,
+    required: [true, 'Please add an answer'],
+    trim: true,
+    maxlength: [1000, 'Answer cannot be more than 1000 characters']
+  },
+  // Who was answering, shown as a badge next to the answer
+  isAdmin: {
+    type: Boolean,
+    default: false
+  },
+  isVerifiedBuyer: {
+    type: Boolean,
+    default: false
+  },
+  // Users who found the answer helpful
+  upvotes: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  ],
+  upvoteCount: {
+    type: Number,
+    default: 0
+  },
+  ...moderationFields,
+  // Set once the asker has been emailed about this answer
+  askerNotifiedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A shopper's question about a product, with answers from staff and buyers
+const productQuestionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  question: {
+    type: String,
+    required: [true, 'Please add a question'],
+    trim: true,
+    maxlength: [500, 'Question cannot be more than 500 characters']
+  },
+  answers: [answerSchema],
+  upvotes: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  ],
+  upvoteCount: {
+    type: Number,
+    default: 0
+  },
+  ...moderationFields,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+productQuestionSchema.index({ product: 1, status: 1, upvoteCount: -1, createdAt: -1 });
+productQuestionSchema.index({ status: 1, createdAt: 1 });
+productQuestionSchema.index({ 'answers.status': 1 });
+
+export default mongoose.model('ProductQuestion', productQuestionSchema);
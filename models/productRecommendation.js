@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// Precomputed recommendations for one product, rebuilt by utils/recommendations.js
+const productRecommendationSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    unique: true
+  },
+  // Same category (or sibling categories), best match first
+  related: [
+    {
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+      },
+      score: {
+        type: Number,
+        required: true
+      }
+    }
+  ],
+  // Products found in the same completed checkouts, most often first
+  boughtTogether: [
+    {
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+      },
+      count: {
+        type: Number,
+        required: true
+      }
+    }
+  ],
+  refreshedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+export default mongoose.model('ProductRecommendation', productRecommendationSchema);
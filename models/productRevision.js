@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// One admin change to a product, with what changed and the resulting state
+const productRevisionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Increases by one with every revision of the same product
+  version: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'restore', 'rollback', 'import', 'purge'],
+    required: true
+  },
+  // Admin who made the change
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changes: [
+    {
+      field: {
+        type: String,
+        required: true
+      },
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed,
+      _id: false
+    }
+  ],
+  // Tracked fields after the change, used for rollbacks (empty once purged)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // For rollbacks, the version that was restored
+  revertedTo: {
+    type: Number
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+productRevisionSchema.index({ product: 1, version: -1 }, { unique: true });
+
+export default mongoose.model('ProductRevision', productRevisionSchema);
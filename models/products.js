@@ -1,4 +1,16 @@
 import mongoose from 'mongoose';
+import Category from './category.js';
+import Device from './device.js';
+import renditionSchema from './rendition.js';
+import { generateUniqueSlug } from '../utils/slugify.js';
+import { castSpecValue } from '../utils/specs.js';
+import { buildSrcset } from '../utils/renditions.js';
+import { resolvePrice } from '../utils/sale.js';
+import { getBundleStock } from '../utils/bundles.js';
+import { getAvailableStock } from '../utils/pricing.js';
+
+// Largest gallery a product can have
+export const MAX_PRODUCT_IMAGES = 20;
 
 const reviewSchema = new mongoose.Schema({
   user: {
@@ -23,6 +35,141 @@ const reviewSchema = new mongoose.Schema({
   }
 });
 
+// Option types offered by a product, e.g. { name: 'color', values: ['black', 'blue'] }
+const optionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add an option name'],
+    trim: true,
+    lowercase: true
+  },
+  values: [
+    {
+      type: String,
+      trim: true
+    }
+  ]
+}, { _id: false });
+
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Please add a variant SKU'],
+    trim: true,
+    uppercase: true
+  },
+  // Selected value per option name, e.g. { color: 'black', length: '2m' }
+  options: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Overrides the product price when set
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  stock: {
+    type: Number,
+    required: [true, 'Please add variant stock quantity'],
+    min: [0, 'Stock cannot be negative']
+  },
+  // Units held by unpaid checkouts; still in stock but not for sale
+  reserved: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved stock cannot be negative']
+  },
+  images: [
+    {
+      type: String
+    }
+  ]
+}, { toJSON: { virtuals: true }, id: false });
+
+variantSchema.virtual('pricing').get(function () {
+  return resolvePrice(this.parent(), this);
+});
+
+variantSchema.virtual('availableStock').get(function () {
+  return getAvailableStock(this.parent(), this);
+});
+
+// One component of a bundle: a product (and variant) and how many the bundle contains
+const bundleItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Please add a bundle component product']
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Bundle component quantity must be at least 1'],
+    default: 1
+  }
+}, { _id: false });
+
+// A scheduled promotion: `price` applies from `startsAt` until `endsAt`
+const salePriceSchema = new mongoose.Schema({
+  price: {
+    type: Number,
+    required: [true, 'Please add a sale price'],
+    min: [0, 'Sale price cannot be negative']
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Please add a sale start time']
+  },
+  endsAt: {
+    type: Date,
+    required: [true, 'Please add a sale end time']
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Sale label cannot be more than 50 characters']
+  }
+});
+
+// One photo in a product's gallery; the first image is the primary one
+const productImageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Please add an image URL']
+  },
+  // Where the file is stored and its ID there, used to delete it when the image is removed
+  storage: {
+    type: String,
+    enum: ['cloudinary', 'local']
+  },
+  publicId: {
+    type: String
+  },
+  alt: {
+    type: String,
+    trim: true,
+    maxlength: [150, 'Alt text cannot be more than 150 characters']
+  },
+  width: {
+    type: Number,
+    min: [0, 'Width cannot be negative']
+  },
+  height: {
+    type: Number,
+    min: [0, 'Height cannot be negative']
+  },
+  renditions: [renditionSchema]
+}, { toJSON: { virtuals: true }, id: false });
+
+// Ready for <img src srcset> and a WebP <source>
+productImageSchema.virtual('srcset').get(function () {
+  return buildSrcset(this.url, this.renditions);
+});
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -30,22 +177,63 @@ const productSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Name cannot be more than 100 characters']
   },
-  images: [
+  // Merchandiser-facing stock keeping unit, used to match rows in CSV imports
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [64, 'SKU cannot be more than 64 characters']
+  },
+  // URL slug, generated from the name and kept unique across products
+  slug: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Earlier slugs, kept so old product URLs can redirect to the current one
+  previousSlugs: [
     {
-      type: String,
-      required: true
+      type: String
     }
   ],
+  metaTitle: {
+    type: String,
+    trim: true,
+    maxlength: [70, 'Meta title cannot be more than 70 characters']
+  },
+  metaDescription: {
+    type: String,
+    trim: true,
+    maxlength: [160, 'Meta description cannot be more than 160 characters']
+  },
+  images: {
+    type: [productImageSchema],
+    validate: {
+      validator: (images) => images.length <= MAX_PRODUCT_IMAGES,
+      message: `A product cannot have more than ${MAX_PRODUCT_IMAGES} images`
+    }
+  },
   description: {
     type: String,
     required: [true, 'Please add a description'],
     maxlength: [500, 'Description cannot be more than 500 characters']
   },
+  // Regular price; sales are scheduled in salePrices instead of editing it
   price: {
     type: Number,
     required: [true, 'Please add a price'],
     min: [0, 'Price cannot be negative']
   },
+  // "Was" price shown struck through next to the price
+  compareAtPrice: {
+    type: Number,
+    min: [0, 'Compare-at price cannot be negative']
+  },
+  salePrices: [salePriceSchema],
+  // Price in effect right now, kept current by utils/salePricing.js for listing filters and sorts
+  currentPrice: {
+    type: Number
+  },
   rating: {
     type: Number,
     default: 0,
@@ -62,10 +250,72 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Please add stock quantity'],
     min: [0, 'Stock cannot be negative']
   },
+  // Units held by unpaid checkouts (summed from variants when there are any)
+  reserved: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved stock cannot be negative']
+  },
+  // Typed technical specs keyed by the category's attribute definitions, e.g. { wattage: 20 }
+  specs: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Devices this product fits; only for categories with device compatibility (cases, screen protectors, MagSafe)
+  compatibleDevices: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device'
+    }
+  ],
+  // "bundle" products are kits of other products sold at one price
+  type: {
+    type: String,
+    enum: ['simple', 'bundle'],
+    default: 'simple'
+  },
+  // Components of a bundle; its stock is derived from theirs
+  bundleItems: [bundleItemSchema],
+  options: [optionSchema],
+  variants: [variantSchema],
+  // Units sold across completed checkouts, refreshed periodically
+  salesCount: {
+    type: Number,
+    default: 0
+  },
+  // Slug of a Category document
   category: {
     type: String,
     required: [true, 'Please add a category'],
-    enum: ['cases', 'screen protectors', 'magsafe', 'cables', 'chargers', 'powerbanks', 'headphones', 'speakers', 'smartwatches', 'tablets', 'laptops', 'accessories']
+    lowercase: true,
+    trim: true,
+    validate: {
+      validator: async (slug) => Boolean(await Category.exists({ slug })),
+      message: 'Category "{VALUE}" does not exist'
+    }
+  },
+  // Only published products are shown to shoppers; scheduled ones go live at publishAt.
+  // New products start as drafts; products saved before publication states
+  // existed have no status until `npm run backfill:status` and count as published
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'published', 'hidden'],
+    default: function () {
+      return this.isNew ? 'draft' : undefined;
+    }
+  },
+  publishAt: {
+    type: Date
+  },
+  // When the product first went live
+  publishedAt: {
+    type: Date
+  },
+  // Set when an admin archives the product; archived products are hidden from listings
+  archivedAt: {
+    type: Date,
+    default: null
   },
   createdAt: {
     type: Date,
@@ -75,6 +325,257 @@ const productSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   }
+}, { toJSON: { virtuals: true }, id: false });
+
+// Price right now with any sale applied, plus the discount to show in listings
+productSchema.virtual('pricing').get(function () {
+  return resolvePrice(this);
+});
+
+// Stock shoppers can still buy, net of checkout reservations
+productSchema.virtual('availableStock').get(function () {
+  return getAvailableStock(this);
+});
+
+// Full-text index for product search, weighted toward the product name
+productSchema.index(
+  { name: 'text', description: 'text' },
+  { weights: { name: 10, description: 2 }, name: 'product_text_search' }
+);
+
+productSchema.index({ slug: 1 }, { unique: true, sparse: true });
+productSchema.index(
+  { sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $exists: true } } }
+);
+productSchema.index({ previousSlugs: 1 });
+productSchema.index({ 'specs.$**': 1 });
+productSchema.index({ compatibleDevices: 1 });
+productSchema.index({ currentPrice: 1 });
+productSchema.index({ status: 1, publishAt: 1 });
+productSchema.index({ 'salePrices.startsAt': 1, 'salePrices.endsAt': 1 });
+
+// SKUs must be unique across every product's variants
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+// Reservations only change through the atomic inventory updates, so a save
+// (admin edit, import, rollback) keeps the counts the product was loaded with.
+// Products loaded without their reserved counts have nothing to keep.
+productSchema.post('init', function () {
+  if (!this.isSelected('reserved')) return;
+
+  this.$locals.loadedReserved = {
+    product: this.reserved,
+    variants: new Map((this.variants ?? []).map((variant) => [variant._id.toString(), variant.reserved]))
+  };
+});
+
+productSchema.pre('validate', function (next) {
+  const loaded = this.isNew ? { product: 0, variants: new Map() } : this.$locals.loadedReserved;
+  if (!loaded) return next();
+
+  this.reserved = loaded.product || 0;
+  (this.variants ?? []).forEach((variant) => {
+    variant.reserved = loaded.variants.get(variant._id.toString()) || 0;
+  });
+  next();
+});
+
+// Validate variants against the declared options and derive total stock from them
+productSchema.pre('validate', function (next) {
+  if (!this.variants.length) return next();
+
+  const declared = new Map(this.options.map((option) => [option.name, option.values]));
+  const combinations = new Set();
+  const skus = new Set();
+
+  this.variants.forEach((variant, index) => {
+    const path = `variants.${index}`;
+
+    if (skus.has(variant.sku)) {
+      this.invalidate(`${path}.sku`, `Duplicate variant SKU ${variant.sku}`);
+    }
+    skus.add(variant.sku);
+
+    for (const [name, value] of variant.options) {
+      const values = declared.get(name);
+      if (!values) {
+        this.invalidate(`${path}.options`, `Unknown option "${name}"`);
+      } else if (values.length && !values.includes(value)) {
+        this.invalidate(`${path}.options`, `"${value}" is not a valid ${name}`);
+      }
+    }
+
+    const key = [...variant.options.entries()].sort().join('|');
+    if (combinations.has(key)) {
+      this.invalidate(`${path}.options`, 'Each variant needs a unique combination of options');
+    }
+    combinations.add(key);
+  });
+
+  this.stock = this.variants.reduce((sum, variant) => sum + (variant.stock || 0), 0);
+  this.reserved = this.variants.reduce((sum, variant) => sum + (variant.reserved || 0), 0);
+  next();
+});
+
+// Check specs against the category's attribute definitions and store them typed
+productSchema.pre('validate', async function () {
+  if (!this.specs?.size || !(this.isModified('specs') || this.isModified('category'))) return;
+
+  const definitions = await Category.getAttributeDefinitions(this.category);
+  for (const [key, raw] of this.specs) {
+    const definition = definitions.get(key);
+    if (!definition) {
+      this.invalidate(`specs.${key}`, `"${key}" is not an attribute of category ${this.category}`);
+      continue;
+    }
+
+    const { value, error } = castSpecValue(definition, raw);
+    if (error) this.invalidate(`specs.${key}`, error);
+    else this.specs.set(key, value);
+  }
+});
+
+// Compatibility links are only allowed where the category supports them
+productSchema.pre('validate', async function () {
+  if (!this.compatibleDevices.length) return;
+  if (!(this.isModified('compatibleDevices') || this.isModified('category'))) return;
+
+  if (!(await Category.supportsDeviceCompatibility(this.category))) {
+    this.invalidate('compatibleDevices', `Products in category ${this.category} cannot be linked to devices`);
+    return;
+  }
+
+  const found = await Device.countDocuments({ _id: { $in: this.compatibleDevices } });
+  if (found !== new Set(this.compatibleDevices.map(String)).size) {
+    this.invalidate('compatibleDevices', 'One or more compatible devices do not exist');
+  }
+});
+
+// Check bundle components and derive how many bundles are in stock
+productSchema.pre('validate', async function () {
+  if (this.type !== 'bundle') {
+    if (this.bundleItems.length) {
+      this.invalidate('bundleItems', 'Only bundle products can have bundle items');
+    }
+    return;
+  }
+
+  if (!this.bundleItems.length) {
+    this.invalidate('bundleItems', 'A bundle needs at least one component');
+    return;
+  }
+  if (this.variants.length) {
+    this.invalidate('variants', 'Bundles cannot have variants');
+    return;
+  }
+
+  const components = new Map(
+    (await this.constructor.find({ _id: { $in: this.bundleItems.map((item) => item.product) } }))
+      .map((component) => [component._id.toString(), component])
+  );
+  const seen = new Set();
+
+  this.bundleItems.forEach((item, index) => {
+    const path = `bundleItems.${index}`;
+    const component = components.get(item.product.toString());
+    const key = `${item.product}:${item.variant || ''}`;
+
+    if (seen.has(key)) {
+      this.invalidate(path, 'Each component can only be listed once');
+    }
+    seen.add(key);
+
+    if (!component) {
+      this.invalidate(`${path}.product`, 'Bundle component does not exist');
+    } else if (component.type === 'bundle' || component._id.equals(this._id)) {
+      this.invalidate(`${path}.product`, 'Bundles cannot contain other bundles');
+    } else if (component.variants.length && !component.variants.id(item.variant)) {
+      this.invalidate(`${path}.variant`, `Choose a variant of ${component.name}`);
+    } else if (!component.variants.length && item.variant) {
+      this.invalidate(`${path}.variant`, `${component.name} has no variants`);
+    }
+  });
+
+  this.stock = getBundleStock(this.bundleItems, components);
+});
+
+// Scheduled products need a publish time
+productSchema.pre('validate', function (next) {
+  if (this.status === 'scheduled' && !this.publishAt) {
+    this.invalidate('publishAt', 'Please add a publish time for a scheduled product');
+  }
+  next();
+});
+
+// Sale windows must be well-formed, below the regular price and must not overlap
+productSchema.pre('validate', function (next) {
+  const windows = [...this.salePrices].sort((a, b) => a.startsAt - b.startsAt);
+
+  this.salePrices.forEach((sale, index) => {
+    const path = `salePrices.${index}`;
+    if (sale.startsAt && sale.endsAt && sale.startsAt >= sale.endsAt) {
+      this.invalidate(`${path}.endsAt`, 'A sale must end after it starts');
+    }
+    if (sale.price >= this.price) {
+      this.invalidate(`${path}.price`, 'Sale price must be lower than the regular price');
+    }
+  });
+
+  windows.forEach((sale, index) => {
+    const next = windows[index + 1];
+    if (next && next.startsAt < sale.endsAt) {
+      this.invalidate('salePrices', 'Sale windows cannot overlap');
+    }
+  });
+
+  next();
+});
+
+// Keep the stored current price in step with the price and sale windows
+productSchema.pre('save', function (next) {
+  this.currentPrice = resolvePrice(this).price;
+  next();
+});
+
+// Stamp the first time a product goes live
+productSchema.pre('save', function (next) {
+  if (this.status === 'published' && !this.publishedAt) {
+    this.publishedAt = Date.now();
+  }
+  next();
+});
+
+// Remember whether bundles built from this product need their stock refreshed
+productSchema.pre('save', function (next) {
+  this.$locals.stockChanged = this.isModified('stock') || this.isModified('archivedAt');
+  next();
+});
+
+// Generate the slug from the name (or a slug set by an admin), keeping the old one for redirects
+productSchema.pre('save', async function (next) {
+  try {
+    const slugChanged = this.isModified('slug') && this.slug;
+    if (!slugChanged && this.slug && !this.isModified('name')) return next();
+
+    const previous = this.isNew ? null : (await this.constructor.findById(this._id, 'slug'))?.slug;
+    const slug = await generateUniqueSlug(this.constructor, slugChanged ? this.slug : this.name, {
+      excludeId: this._id,
+      fields: ['slug', 'previousSlugs']
+    });
+
+    if (previous && previous !== slug) {
+      this.previousSlugs.pull(slug);
+      this.previousSlugs.addToSet(previous);
+    }
+    this.slug = slug;
+    next();
+  } catch (error) {
+    next(error);
+  }
 });
 
 // Middleware to update rating and numReviews before saving
@@ -91,4 +592,40 @@ productSchema.pre('save', function (next) {
   next();
 });
 
+// Component stock changed, so the bundles containing it may have changed too
+productSchema.post('save', async function () {
+  if (this.type === 'bundle' || !this.$locals.stockChanged) return;
+  await this.constructor.refreshBundleStock([this._id]);
+});
+
+/**
+ * Recompute the stock of every bundle containing one of the given products.
+ */
+productSchema.statics.refreshBundleStock = async function (componentIds) {
+  const bundles = await this.find(
+    { type: 'bundle', 'bundleItems.product': { $in: componentIds } },
+    'bundleItems stock'
+  ).lean();
+  if (!bundles.length) return;
+
+  const components = new Map(
+    (await this.find(
+      { _id: { $in: bundles.flatMap((bundle) => bundle.bundleItems.map((item) => item.product)) } },
+      'stock reserved variants archivedAt'
+    ).lean()).map((component) => [component._id.toString(), component])
+  );
+
+  const updates = bundles
+    .map((bundle) => ({ bundle, stock: getBundleStock(bundle.bundleItems, components) }))
+    .filter(({ bundle, stock }) => bundle.stock !== stock);
+
+  if (updates.length) {
+    await this.bulkWrite(
+      updates.map(({ bundle, stock }) => ({
+        updateOne: { filter: { _id: bundle._id }, update: { $set: { stock } } }
+      }))
+    );
+  }
+};
+
 export default mongoose.model('Product', productSchema);
\ No newline at end of file
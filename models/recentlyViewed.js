@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// Products a shopper looked at, most recent first. Owned by a user, or by an
+// anonymous visitor ID until the visitor logs in.
+const recentlyViewedSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  visitorId: {
+    type: String
+  },
+  items: [
+    {
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+      },
+      viewedAt: {
+        type: Date,
+        default: Date.now
+      },
+      _id: false
+    }
+  ],
+  // Anonymous histories are dropped after a period without views
+  expiresAt: {
+    type: Date
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+recentlyViewedSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { user: { $type: 'objectId' } } }
+);
+recentlyViewedSchema.index(
+  { visitorId: 1 },
+  { unique: true, partialFilterExpression: { visitorId: { $type: 'string' } } }
+);
+recentlyViewedSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RecentlyViewed', recentlyViewedSchema);
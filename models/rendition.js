@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// A resized copy of an uploaded image, embedded in product images and users
+const renditionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  // "original" keeps the uploaded format
+  format: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  width: Number,
+  height: Number
+}, { _id: false });
+
+export default renditionSchema;
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// A normalized product search and how often shoppers ran it, feeding autocomplete
+const searchQuerySchema = new mongoose.Schema({
+  query: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  lastSearchedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+searchQuerySchema.index({ count: -1 });
+
+export default mongoose.model('SearchQuery', searchQuerySchema);
@@ -2,6 +2,8 @@ import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import crypto from "crypto";
+import renditionSchema from "./rendition.js";
+import { buildSrcset } from "../utils/renditions.js";
 
 const UserSchema = new mongoose.Schema({
   email: {
@@ -36,6 +38,8 @@ const UserSchema = new mongoose.Schema({
   avatar: {
     type: String,
   },
+  // Resized copies of the avatar, generated at upload
+  avatarRenditions: [renditionSchema],
   createdAt: {
     type: Date,
     default: Date.now,
@@ -46,6 +50,11 @@ const UserSchema = new mongoose.Schema({
   },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+}, { toJSON: { virtuals: true }, id: false });
+
+// Ready for <img src srcset> and a WebP <source>
+UserSchema.virtual("avatarSrcset").get(function () {
+  return buildSrcset(this.avatar, this.avatarRenditions);
 });
 
 // Generate and hash password token
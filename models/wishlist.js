@@ -11,6 +11,10 @@ const WishlistSchema = new mongoose.Schema({
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Product',
             required: true
+        },
+        // Selected variant (_id of an entry in product.variants), if any
+        variant: {
+            type: mongoose.Schema.Types.ObjectId
         }
     }],
     createdAt: {
@@ -1,6 +1,17 @@
 import express from 'express'
 import { protect, authorize } from '../middleware/auth.js'
 import { getAllOrders, getTotalRevenue, getCustomersSummary } from '../controllers/admin.controller.js'
+import { getCategories, createCategory, updateCategory, deleteCategory } from '../controllers/categories.controller.js'
+import { getAdminProducts, getArchivedProducts, purgeArchivedProducts } from '../controllers/products.controller.js'
+import { exportProducts, importProducts } from '../controllers/catalog.controller.js'
+import { getProductRevisions, getProductRevision, rollbackProduct } from '../controllers/productRevisions.controller.js'
+import { getProductInventory, getInventoryMovements, createStockAdjustment } from '../controllers/inventory.controller.js'
+import { getModerationQueue } from '../controllers/productQuestions.controller.js'
+import { getAdminCurrencies, createCurrency, updateCurrency, deleteCurrency } from '../controllers/currencies.controller.js'
+import { getDevices, createDevice, updateDevice, deleteDevice } from '../controllers/devices.controller.js'
+import { uploadSingle, uploadCsv } from '../middleware/fileUpload.js'
+import { handleMulterErrors } from '../middleware/multer.js'
+import { parseJsonFields } from '../middleware/parseJson.js'
 
 const router = express.Router();
 
@@ -175,4 +186,981 @@ router.get('/revenue', getTotalRevenue);
  */
 router.get('/customers', getCustomersSummary);
 
+/**
+ * @openapi
+ * /api/admin/categories:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: List categories
+ *     description: Returns the category tree, or a flat list when `flat=true`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: flat
+ *         schema:
+ *           type: boolean
+ *         description: Return a flat list instead of a nested tree (optional).
+ *     responses:
+ *       200:
+ *         description: Categories sorted by displayOrder then name.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 count: { type: integer }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Category'
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden - admin role required.
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Create a category
+ *     description: Creates a category, optionally nested under a parent. The slug is generated from the name when omitted.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name: { type: string, example: "Gaming" }
+ *               slug: { type: string, example: "gaming" }
+ *               description: { type: string }
+ *               parent:
+ *                 type: string
+ *                 description: ID of the parent category (optional).
+ *               displayOrder: { type: integer, example: 0 }
+ *               deviceCompatibility:
+ *                 type: boolean
+ *                 description: Allow products in this category and its subcategories to be linked to compatible devices.
+ *               attributes:
+ *                 type: string
+ *                 description: JSON array of spec attribute definitions for products in this category and its subcategories.
+ *                 example: '[{"key":"wattage","label":"Wattage","type":"number","unit":"W"},{"key":"connectivity","label":"Connectivity","type":"enum","values":["bluetooth","wired"]}]'
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Category created.
+ *       400:
+ *         description: Invalid data or duplicate slug.
+ *       404:
+ *         description: Parent category not found.
+ */
+router.route('/categories')
+    .get(getCategories)
+    .post(uploadSingle, parseJsonFields('attributes'), createCategory);
+
+/**
+ * @openapi
+ * /api/admin/categories/{id}:
+ *   put:
+ *     tags:
+ *       - Admin
+ *     summary: Update a category
+ *     description: Updates a category. Changing `parent` moves the category and its subcategories; changing `slug` re-points its products to the new slug.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               slug: { type: string }
+ *               description: { type: string }
+ *               parent:
+ *                 type: string
+ *                 description: ID of the new parent, or empty to make it a top-level category.
+ *               displayOrder: { type: integer }
+ *               deviceCompatibility:
+ *                 type: boolean
+ *               attributes:
+ *                 type: string
+ *                 description: JSON array of spec attribute definitions; replaces the existing list.
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Category updated.
+ *       400:
+ *         description: Invalid data, duplicate slug or a move under its own subcategory.
+ *       404:
+ *         description: Category or parent not found.
+ *   delete:
+ *     tags:
+ *       - Admin
+ *     summary: Delete a category
+ *     description: Deletes a category that has no subcategories and no products.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category deleted.
+ *       400:
+ *         description: Category still has subcategories or products.
+ *       404:
+ *         description: Category not found.
+ */
+router.route('/categories/:id')
+    .put(uploadSingle, parseJsonFields('attributes'), updateCategory)
+    .delete(deleteCategory);
+
+/**
+ * @openapi
+ * /api/admin/products:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: List products in any publication state
+ *     description: Non-archived products including drafts, scheduled and hidden ones, most recently updated first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, published, hidden]
+ *         description: Only list products with this status (optional).
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Products.
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden - admin role required.
+ */
+router.get('/products', getAdminProducts);
+
+/**
+ * @openapi
+ * /api/admin/products/archived:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: List archived products
+ *     description: Paginated list of archived products, most recently archived first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number (optional, default 1).
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Items per page (optional, default 10).
+ *     responses:
+ *       200:
+ *         description: Archived products with pagination totals.
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden - admin role required.
+ *   delete:
+ *     tags:
+ *       - Admin
+ *     summary: Purge archived products
+ *     description: Permanently deletes products archived longer than the retention period and removes them from carts and wishlists. Checkout history keeps its item snapshots.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: retentionDays
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Only purge products archived at least this many days ago (optional, defaults to PRODUCT_RETENTION_DAYS or 30).
+ *     responses:
+ *       200:
+ *         description: Number of products purged.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     purged: { type: integer }
+ *                     retentionDays: { type: number }
+ *       400:
+ *         description: Invalid retentionDays.
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden - admin role required.
+ */
+router.route('/products/archived')
+    .get(getArchivedProducts)
+    .delete(purgeArchivedProducts);
+
+/**
+ * @openapi
+ * /api/admin/products/export:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: Export the catalog as CSV
+ *     description: >
+ *       Downloads products as a CSV file with the columns sku, name, slug, description, price, compareAtPrice,
+ *       stock, category, specs, options, variants, images (URLs separated by "|"), metaTitle, metaDescription,
+ *       status and publishAt. specs, options and variants are JSON in a single cell, in the same shape the
+ *       product endpoints take, so an export can be imported again unchanged.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *         description: Include archived products (optional, default false).
+ *     responses:
+ *       200:
+ *         description: CSV file.
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden - admin role required.
+ */
+router.get('/products/export', exportProducts);
+
+/**
+ * @openapi
+ * /api/admin/products/import:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Import products from CSV
+ *     description: |
+ *       Creates or updates products from a CSV file using the export columns, matching existing products by SKU.
+ *       Blank cells leave the existing value unchanged. Every row is validated with the Product schema rules;
+ *       invalid rows are skipped and reported. With `dryRun=true` nothing is saved.
+ *       specs, options and variants are read as JSON; a cell that isn't valid JSON rejects the row.
+ *       `stock` (and variant stock) sets the starting stock of new products only; for existing products it must
+ *       be blank or match the current stock, since on-hand stock changes through inventory adjustments.
+ *       Existing variants are matched by their `_id`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Validate the file and report what would change without saving (optional).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Import summary.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 dryRun: { type: boolean }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     rows: { type: integer }
+ *                     created: { type: integer }
+ *                     updated: { type: integer }
+ *                     skipped:
+ *                       type: integer
+ *                       description: Rows that were invalid or unchanged.
+ *                     errors:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           row: { type: integer, description: Line number in the file (the header is line 1). }
+ *                           sku: { type: string, nullable: true }
+ *                           errors:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 field: { type: string }
+ *                                 message: { type: string }
+ *             example:
+ *               success: true
+ *               dryRun: true
+ *               data:
+ *                 rows: 3
+ *                 created: 1
+ *                 updated: 1
+ *                 skipped: 1
+ *                 errors:
+ *                   - row: 4
+ *                     sku: "CBL-USBC-2M"
+ *                     errors:
+ *                       - field: "price"
+ *                         message: "Price cannot be negative"
+ *       400:
+ *         description: Missing, invalid or empty CSV file.
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden - admin role required.
+ */
+router.post('/products/import', uploadCsv, handleMulterErrors, importProducts);
+
+/**
+ * @openapi
+ * /api/admin/products/{id}/revisions:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: Product change history
+ *     description: >
+ *       Every admin create, update, archive, restore, import, rollback and purge of the product, newest first,
+ *       with the acting admin and a field-level diff. Snapshots are left out; fetch a single revision for those.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Revisions.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 pagination: { type: object }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id: { type: string }
+ *                       product: { type: string }
+ *                       version: { type: integer, example: 3 }
+ *                       action: { type: string, enum: [create, update, delete, restore, rollback, import, purge] }
+ *                       actor:
+ *                         type: object
+ *                         properties:
+ *                           _id: { type: string }
+ *                           firstName: { type: string }
+ *                           lastName: { type: string }
+ *                           email: { type: string }
+ *                       changes:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             field: { type: string, example: "price" }
+ *                             from: { example: 24.99 }
+ *                             to: { example: 19.99 }
+ *                       revertedTo: { type: integer, description: For rollbacks, the version restored. }
+ *                       createdAt: { type: string, format: date-time }
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden - admin role required.
+ */
+router.get('/products/:id/revisions', getProductRevisions);
+
+/**
+ * @openapi
+ * /api/admin/products/{id}/revisions/{version}:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: Get one product revision
+ *     description: The revision with the snapshot of the product's fields after the change.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Revision.
+ *       404:
+ *         description: Revision not found.
+ */
+router.get('/products/:id/revisions/:version', getProductRevision);
+
+/**
+ * @openapi
+ * /api/admin/products/{id}/revisions/{version}/rollback:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Roll a product back to a revision
+ *     description: >
+ *       Restores the product's fields to their state after the given revision and records the rollback
+ *       as a new revision. Archiving is not changed; use the archive and restore endpoints for that.
+ *       On-hand stock is not changed either, for the product or its variants; use inventory adjustments for that.
+ *       Images removed since then are put back in the gallery, but files already deleted from storage are not recovered.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Product rolled back; returns the product and the new revision.
+ *       400:
+ *         description: The old state is no longer valid (e.g. its category was deleted or its SKU is now taken).
+ *       404:
+ *         description: Product or revision not found.
+ */
+router.post('/products/:id/revisions/:version/rollback', rollbackProduct);
+
+/**
+ * @openapi
+ * /api/admin/products/{id}/inventory:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: Get a product's stock balance
+ *     description: >
+ *       On-hand units, units reserved by unpaid checkouts and units available to shoppers, for the product
+ *       and each of its variants, plus when stock last moved. The movements behind the balance are at
+ *       /api/admin/products/{id}/inventory/movements.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Stock balance.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/StockBalance'
+ *                     - type: object
+ *                       properties:
+ *                         product:
+ *                           type: object
+ *                           properties:
+ *                             _id: { type: string }
+ *                             name: { type: string }
+ *                             sku: { type: string }
+ *                             type: { type: string, enum: [simple, bundle] }
+ *                         lastMovementAt: { type: string, format: date-time, nullable: true }
+ *       404:
+ *         description: Product not found.
+ */
+router.get('/products/:id/inventory', getProductInventory);
+
+/**
+ * @openapi
+ * /api/admin/products/{id}/inventory/movements:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: Get a product's inventory movements
+ *     description: >
+ *       Every change to the product's on-hand stock, newest first: sales from paid checkouts, initial stock
+ *       of created or imported products and variants removed by edits or rollbacks (as adjustments), and
+ *       posted restocks, returns, damage and adjustments.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [sale, restock, return, adjustment, damage]
+ *       - in: query
+ *         name: variant
+ *         schema:
+ *           type: string
+ *         description: Only movements of this variant
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Movements.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     currentPage: { type: integer }
+ *                     totalPages: { type: integer }
+ *                     totalItems: { type: integer }
+ *                     itemsPerPage: { type: integer }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InventoryMovement'
+ *       400:
+ *         description: Invalid type or variant.
+ *       404:
+ *         description: Product not found.
+ */
+router.get('/products/:id/inventory/movements', getInventoryMovements);
+
+/**
+ * @openapi
+ * /api/admin/products/{id}/inventory/adjustments:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Post a stock movement
+ *     description: >
+ *       Records a restock, return, damage or manual adjustment and changes on-hand stock to match.
+ *       For restock and return, quantity is the number of units coming in; for damage, the number of units
+ *       written off; for adjustment, the signed change. Stock cannot go below the units reserved by unpaid checkouts. Bundles are rejected
+ *       since their stock follows their components.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - quantity
+ *               - reason
+ *             properties:
+ *               type: { type: string, enum: [restock, return, adjustment, damage] }
+ *               quantity: { type: integer, example: 24 }
+ *               variant: { type: string, description: "Required for products with variants" }
+ *               reason: { type: string, example: "Supplier delivery" }
+ *               reference: { type: string, example: "PO-1042" }
+ *     responses:
+ *       201:
+ *         description: Movement recorded; returns it and the new balance.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 data:
+ *                   $ref: '#/components/schemas/InventoryMovement'
+ *                 balance:
+ *                   $ref: '#/components/schemas/StockBalance'
+ *       400:
+ *         description: Invalid type, quantity, reason (up to 200 characters), reference (up to 100) or variant, a bundle, or more units removed than are on hand and not reserved.
+ *       404:
+ *         description: Product not found.
+ */
+router.post('/products/:id/inventory/adjustments', createStockAdjustment);
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     StockBalance:
+ *       type: object
+ *       properties:
+ *         stock: { type: integer, description: "Units on hand" }
+ *         reserved: { type: integer, description: "Units held by unpaid checkouts" }
+ *         available: { type: integer, description: "Units shoppers can buy" }
+ *         variants:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id: { type: string }
+ *               sku: { type: string }
+ *               options: { type: object, additionalProperties: { type: string } }
+ *               stock: { type: integer }
+ *               reserved: { type: integer }
+ *               available: { type: integer }
+ *     InventoryMovement:
+ *       type: object
+ *       properties:
+ *         _id: { type: string }
+ *         product: { type: string }
+ *         variant: { type: string }
+ *         type: { type: string, enum: [sale, restock, return, adjustment, damage] }
+ *         quantity: { type: integer, description: "Change in on-hand units, negative when stock went out", example: -2 }
+ *         balance: { type: integer, description: "On-hand units of the product or variant afterwards", example: 38 }
+ *         reason: { type: string, example: "Order paid" }
+ *         reference: { type: string, description: "Payment reference for sales, or a supplier invoice, RMA number, etc." }
+ *         checkout: { type: string, description: "Checkout behind a sale" }
+ *         actor:
+ *           type: object
+ *           description: Admin who moved the stock, or the buyer for sales
+ *           properties:
+ *             _id: { type: string }
+ *             firstName: { type: string }
+ *             lastName: { type: string }
+ *             email: { type: string }
+ *         createdAt: { type: string, format: date-time }
+ */
+
+/**
+ * @openapi
+ * /api/admin/devices:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: List devices
+ *     description: Devices in the compatibility catalog, sorted by brand, model and generation.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: brand
+ *         schema:
+ *           type: string
+ *         description: Only list devices of this brand (optional, case-insensitive).
+ *     responses:
+ *       200:
+ *         description: Devices.
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden - admin role required.
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Add a device
+ *     description: Adds a device to the compatibility catalog. The slug is generated from brand, model and generation.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - brand
+ *               - model
+ *             properties:
+ *               brand: { type: string, example: "Apple" }
+ *               model: { type: string, example: "iPhone" }
+ *               generation: { type: string, example: "15 Pro" }
+ *     responses:
+ *       201:
+ *         description: Device created.
+ *       400:
+ *         description: Invalid data or duplicate device.
+ */
+router.route('/devices')
+    .get(getDevices)
+    .post(createDevice);
+
+/**
+ * @openapi
+ * /api/admin/devices/{id}:
+ *   put:
+ *     tags:
+ *       - Admin
+ *     summary: Update a device
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               brand: { type: string }
+ *               model: { type: string }
+ *               generation: { type: string }
+ *     responses:
+ *       200:
+ *         description: Device updated. The slug does not change.
+ *       404:
+ *         description: Device not found.
+ *   delete:
+ *     tags:
+ *       - Admin
+ *     summary: Delete a device
+ *     description: Deletes a device and removes it from every product's compatibility list.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Device deleted.
+ *       404:
+ *         description: Device not found.
+ */
+router.route('/devices/:id')
+    .put(updateDevice)
+    .delete(deleteDevice);
+
+/**
+ * @openapi
+ * /api/admin/currencies:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: List managed currencies
+ *     description: Every currency with its exchange rate and rounding rules, including inactive ones. The base currency is implicit and not listed.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Currencies.
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden - admin role required.
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Add a currency
+ *     description: Adds a display currency. Rates and rounding rules take effect within a minute on every server.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - rate
+ *             properties:
+ *               code: { type: string, example: "USD" }
+ *               name: { type: string, example: "US Dollar" }
+ *               symbol: { type: string, example: "$" }
+ *               rate: { type: number, example: 0.00065, description: "Units of this currency per one unit of the base currency" }
+ *               decimals: { type: integer, example: 2 }
+ *               roundingIncrement: { type: number, example: 0.05 }
+ *               roundingMode: { type: string, enum: [nearest, up, down] }
+ *               chargeable: { type: boolean, description: "Whether Paystack can charge in this currency" }
+ *               active: { type: boolean }
+ *     responses:
+ *       201:
+ *         description: Currency created.
+ *       400:
+ *         description: Invalid data, duplicate code or the base currency.
+ */
+router.route('/currencies')
+    .get(getAdminCurrencies)
+    .post(createCurrency);
+
+/**
+ * @openapi
+ * /api/admin/currencies/{id}:
+ *   put:
+ *     tags:
+ *       - Admin
+ *     summary: Update a currency
+ *     description: Changes the exchange rate, rounding rules or availability. The code cannot be changed. Checkouts already created keep the rate they were charged at.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Currency'
+ *     responses:
+ *       200:
+ *         description: Currency updated.
+ *       404:
+ *         description: Currency not found.
+ *   delete:
+ *     tags:
+ *       - Admin
+ *     summary: Delete a currency
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Currency deleted.
+ *       404:
+ *         description: Currency not found.
+ */
+router.route('/currencies/:id')
+    .put(updateCurrency)
+    .delete(deleteCurrency);
+
+/**
+ * @openapi
+ * /api/admin/questions:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: Product Q&A moderation queue
+ *     description: >
+ *       Questions where the question itself or any of its answers has the given status, oldest first.
+ *       Approve or reject them with the moderation routes under /api/products/{id}/questions.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Questions with the product, asker and answerers populated.
+ *       400:
+ *         description: Invalid status.
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Forbidden - admin role required.
+ */
+router.get('/questions', getModerationQueue);
+
 export const adminRouter = router;
\ No newline at end of file
@@ -21,9 +21,15 @@ import { uploadSingleAvatar } from "../middleware/fileUpload.js";
  * /api/auth/register:
  *   post:
  *     summary: Register a new user account
- *     description: Create a new user with email and password. Optionally provide an adminCode to create an admin account.
+ *     description: Create a new user with email and password. Optionally provide an adminCode to create an admin account. Products viewed anonymously under the X-Visitor-Id header become the new account's recently viewed history.
  *     tags:
  *       - Auth
+ *     parameters:
+ *       - in: header
+ *         name: X-Visitor-Id
+ *         schema:
+ *           type: string
+ *         description: Anonymous visitor ID used while browsing before signing up (optional)
  *     requestBody:
  *       required: true 
  *       content:
@@ -82,9 +88,15 @@ router.post(
  * /api/auth/login:
  *   post:
  *     summary: Authenticate user and return a JWT token
- *     description: Verify the supplied credentials and return an authentication token.
+ *     description: Verify the supplied credentials and return an authentication token. Products viewed anonymously under the X-Visitor-Id header are merged into the account's recently viewed history.
  *     tags:
  *       - Auth
+ *     parameters:
+ *       - in: header
+ *         name: X-Visitor-Id
+ *         schema:
+ *           type: string
+ *         description: Anonymous visitor ID used while browsing before login (optional)
  *     requestBody:
  *       required: true
  *       content:
@@ -167,6 +179,8 @@ router.post(
  *                       type: string
  *                     avatar:
  *                       type: string
+ *                     avatarSrcset:
+ *                       $ref: '#/components/schemas/ImageSrcset'
  *                     role:
  *                       type: string
  *       401:
@@ -349,6 +363,8 @@ router.put(
  *                       type: string
  *                     avatar:
  *                       type: string
+ *                     avatarSrcset:
+ *                       $ref: '#/components/schemas/ImageSrcset'
  *       400:
  *         description: No fields provided or invalid file
  *       401:
@@ -1,5 +1,6 @@
 import express from 'express';
 import { protect } from '../middleware/auth.js';
+import { resolveCurrency } from '../middleware/currency.js';
 import {
     addToCart,
     getCart,
@@ -11,17 +12,21 @@ import {
 const router = express.Router();
 
 router.use(protect); // All cart routes require authentication
+router.use(resolveCurrency); // Lines and totals also shown in the requested currency
 
 /**
  * @openapi
  * /api/cart:
  *   get:
  *     summary: Retrieve the authenticated user's cart
- *     description: Fetches the current user's shopping cart, including all products and their quantities. Returns detailed cart information with populated product data.
+ *     description: Fetches the current user's shopping cart, including all products and their quantities. Returns detailed cart information with populated product data. Each line has `displayPricing` and the cart a `displayTotal` in the requested currency (`displayCurrency`); `totalPrice` stays in the base currency.
  *     tags:
  *       - Cart
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CurrencyQuery'
+ *       - $ref: '#/components/parameters/CurrencyHeader'
  *     responses:
  *       200:
  *         description: Successfully retrieved the user's cart
@@ -56,6 +61,16 @@ router.use(protect); // All cart routes require authentication
  *                                 type: string
  *                               price:
  *                                 type: number
+ *                           variant:
+ *                             type: string
+ *                             description: Selected variant ID, if any
+ *                           available:
+ *                             type: boolean
+ *                             description: False when the product was archived or removed, or is out of stock
+ *                           unavailableReason:
+ *                             type: string
+ *                             nullable: true
+ *                             enum: [removed, archived, variant_removed, out_of_stock, insufficient_stock]
  *                           quantity:
  *                             type: number
  *                     totalPrice:
@@ -113,6 +128,9 @@ router.use(protect); // All cart routes require authentication
  *                 type: string
  *                 description: ID of the product to add
  *                 example: "507f1f77bcf86cd799439012"
+ *               variantId:
+ *                 type: string
+ *                 description: ID of the selected variant. Required when the product has variants; stock is checked per variant.
  *               quantity:
  *                 type: number
  *                 description: Number of items to add
@@ -264,6 +282,9 @@ router.route('/')
  *                 type: number
  *                 description: New quantity for the product
  *                 example: 3
+ *               variantId:
+ *                 type: string
+ *                 description: ID of the variant line to update, if the product has variants
  *     responses:
  *       200:
  *         description: Cart quantity successfully updated
@@ -339,6 +360,12 @@ router.route('/')
  *           type: string
  *         description: ID of the product to remove
  *         example: "507f1f77bcf86cd799439012"
+ *       - in: query
+ *         name: variantId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only remove this variant of the product. Without it every variant of the product is removed.
  *     responses:
  *       200:
  *         description: Product successfully removed from cart
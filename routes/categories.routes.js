@@ -0,0 +1,96 @@
+import express from 'express';
+import { getCategories } from '../controllers/categories.controller.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /api/categories:
+ *   get:
+ *     summary: Retrieve the category tree
+ *     description: Returns all categories nested under their parents, sorted by display order. Pass `flat=true` for a flat list.
+ *     tags:
+ *       - Categories
+ *     parameters:
+ *       - in: query
+ *         name: flat
+ *         schema:
+ *           type: boolean
+ *         description: Return a flat list instead of a nested tree
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved categories
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 12
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Category'
+ */
+router.get('/', getCategories);
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Category:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: "Screen Protectors"
+ *         slug:
+ *           type: string
+ *           description: Used as the product `category` value
+ *           example: "screen-protectors"
+ *         description:
+ *           type: string
+ *         image:
+ *           type: string
+ *         parent:
+ *           type: string
+ *           nullable: true
+ *           description: ID of the parent category
+ *         ancestors:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: IDs of every category above this one, root first
+ *         displayOrder:
+ *           type: integer
+ *         deviceCompatibility:
+ *           type: boolean
+ *           description: Products here can be linked to compatible devices; subcategories inherit it
+ *         attributes:
+ *           type: array
+ *           description: Spec attributes for products in this category; subcategories inherit them
+ *           items:
+ *             type: object
+ *             properties:
+ *               key: { type: string, example: "wattage", description: "Lowercase letters, numbers and underscores, not ending in _gt, _gte, _lt or _lte" }
+ *               label: { type: string, example: "Wattage" }
+ *               type: { type: string, enum: [number, enum, boolean] }
+ *               unit: { type: string, example: "W" }
+ *               values:
+ *                 type: array
+ *                 items: { type: string }
+ *                 description: Allowed values for enum attributes
+ *         children:
+ *           type: array
+ *           description: Nested subcategories (tree responses only)
+ *           items:
+ *             type: object
+ */
+
+export const categoriesRouter = router;
@@ -1,5 +1,6 @@
 import express from "express";
 import { protect } from "../middleware/auth.js";
+import { resolveCurrency } from "../middleware/currency.js";
 import {
   initializeCheckout,
   verifyPayment,
@@ -18,8 +19,57 @@ const router = express.Router();
  *     description: APIs for handling user checkout and payment process
  */
 
-// Protect all checkout routes except webhook
+/**
+ * @openapi
+ * /api/checkout/webhook:
+ *   post:
+ *     summary: Paystack webhook for payment notifications
+ *     description: |
+ *       Endpoint for Paystack to send payment notifications.
+ *       Updates checkout status, takes the paid items out of stock and clears cart on successful payment.
+ *       This endpoint does not require authentication.
+ *     tags:
+ *       - Checkout
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               event:
+ *                 type: string
+ *                 example: "charge.success"
+ *               data:
+ *                 type: object
+ *                 properties:
+ *                   reference:
+ *                     type: string
+ *                     example: "T12345ABC"
+ *                   status:
+ *                     type: string
+ *                     example: "success"
+ *     responses:
+ *       200:
+ *         description: Webhook received successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 received:
+ *                   type: boolean
+ *                   example: true
+ *       500:
+ *         description: Internal server error
+ */
+// Paystack calls this without a token, so it is mounted before protect;
+// requests are checked against the Paystack signature instead
+router.post("/webhook", webhookHandler);
+
+// Protect all other checkout routes
 router.use(protect);
+router.use(resolveCurrency);
 
 /**
  * @openapi
@@ -29,10 +79,23 @@ router.use(protect);
  *     description: |
  *       This endpoint initializes a Paystack transaction for the authenticated user.
  *       It retrieves the user's cart, calculates the total, and generates a payment link.
+ *       The payment is taken in the requested currency when it is chargeable, otherwise in the base
+ *       currency; the checkout records `currency`, `exchangeRate`, `chargedTotal` and each item's `chargedPrice`.
+ *       Checkout responses also carry `displayCurrency`, `displayTotal` and item `displayPrice` in the requested currency.
+ *
+ *       The items are reserved until `stockReservedUntil` (STOCK_RESERVATION_TTL_MINUTES, default 15): other
+ *       shoppers can't buy them meanwhile. A successful payment turns the reservation into a stock decrement;
+ *       a failed payment, a cancellation or the reservation running out puts the items back on sale and
+ *       cancels the checkout. Items held by the user's earlier unpaid checkouts count as available to the new
+ *       one, and once it is created those checkouts are cancelled; if creating it fails (empty cart, short
+ *       stock, gateway error), they stay payable and keep their items where still possible.
  *     tags:
  *       - Checkout
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CurrencyQuery'
+ *       - $ref: '#/components/parameters/CurrencyHeader'
  *     requestBody:
  *       required: true
  *       content:
@@ -77,7 +140,7 @@ router.use(protect);
  *                       type: string
  *                       example: "ACC_123xyz"
  *       400:
- *         description: Cart is empty or invalid data
+ *         description: Cart is empty, invalid data, some cart items are no longer available (listed in `data` with a reason), or another checkout took the last units first (the short product in `data`)
  *         content:
  *           application/json:
  *             schema:
@@ -165,6 +228,8 @@ router.get("/verify/:reference", verifyPayment);
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/CurrencyQuery'
+ *       - $ref: '#/components/parameters/CurrencyHeader'
  *       - in: query
  *         name: status
  *         required: false
@@ -192,6 +257,19 @@ router.get("/verify/:reference", verifyPayment);
  *           maximum: 100
  *           default: 10
  *           example: 10
+ *       - in: query
+ *         name: pagination
+ *         required: false
+ *         description: Set to `cursor` to page with opaque cursors instead of page numbers
+ *         schema:
+ *           type: string
+ *           enum: [cursor]
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         description: The `nextCursor` from the previous page. Implies cursor pagination; the response then has `nextCursor` and `hasMore` instead of `total`, `totalPages` and `currentPage`.
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: List of user's checkout history
@@ -239,6 +317,8 @@ router.get("/verify/:reference", verifyPayment);
  *                         type: string
  *                         format: date-time
  *                         example: "2025-10-12T12:34:56.789Z"
+ *       400:
+ *         description: Invalid cursor
  *       401:
  *         description: Unauthorized - missing or invalid token
  *       500:
@@ -317,7 +397,7 @@ router.get("/:id", getCheckoutById);
  * /api/checkout/{id}/cancel:
  *   put:
  *     summary: Cancel a pending checkout/order
- *     description: Cancel a checkout that is still in pending status.
+ *     description: Cancel a checkout that is still in pending status. Its reserved items go back on sale.
  *     tags:
  *       - Checkout
  *     security:
@@ -367,52 +447,4 @@ router.get("/:id", getCheckoutById);
  */
 router.put("/:id/cancel", cancelCheckout);
 
-/**
- * @openapi
- * /api/checkout/webhook:
- *   post:
- *     summary: Paystack webhook for payment notifications
- *     description: |
- *       Endpoint for Paystack to send payment notifications.
- *       Updates checkout status and clears cart on successful payment.
- *       This endpoint does not require authentication.
- *     tags:
- *       - Checkout
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               event:
- *                 type: string
- *                 example: "charge.success"
- *               data:
- *                 type: object
- *                 properties:
- *                   reference:
- *                     type: string
- *                     example: "T12345ABC"
- *                   status:
- *                     type: string
- *                     example: "success"
- *     responses:
- *       200:
- *         description: Webhook received successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 received:
- *                   type: boolean
- *                   example: true
- *       500:
- *         description: Internal server error
- */
-// ✅ Webhook should be at the end since it doesn't use protect middleware
-// Remove protect middleware for this specific route
-router.post("/webhook", webhookHandler); // No protect middleware
-
 export const checkoutRouter = router;
@@ -0,0 +1,112 @@
+import express from 'express';
+import { getCurrencies } from '../controllers/currencies.controller.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /api/currencies:
+ *   get:
+ *     summary: Retrieve the currencies prices can be shown in
+ *     description: >
+ *       The base currency prices are stored in, followed by every active currency with its current exchange rate.
+ *       Send a code as the `currency` query parameter or X-Currency header on product, cart, wishlist and checkout
+ *       requests to get converted display prices. Currencies that are not chargeable are shown converted but
+ *       charged in the base currency.
+ *     tags:
+ *       - Currencies
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved currencies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 base:
+ *                   type: string
+ *                   example: NGN
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Currency'
+ */
+router.get('/', getCurrencies);
+
+/**
+ * @openapi
+ * components:
+ *   parameters:
+ *     CurrencyQuery:
+ *       in: query
+ *       name: currency
+ *       schema:
+ *         type: string
+ *       description: Display currency code (see GET /api/currencies); takes precedence over X-Currency. Defaults to the base currency.
+ *       example: USD
+ *     CurrencyHeader:
+ *       in: header
+ *       name: X-Currency
+ *       schema:
+ *         type: string
+ *       description: Display currency code (see GET /api/currencies). Defaults to the base currency.
+ *       example: USD
+ *   schemas:
+ *     Currency:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           example: USD
+ *         name:
+ *           type: string
+ *           example: US Dollar
+ *         symbol:
+ *           type: string
+ *           example: $
+ *         rate:
+ *           type: number
+ *           description: Units of this currency per one unit of the base currency
+ *           example: 0.00065
+ *         decimals:
+ *           type: integer
+ *           description: Decimal places converted prices are rounded to
+ *           example: 2
+ *         roundingIncrement:
+ *           type: number
+ *           description: Round to a multiple of this amount instead, e.g. 0.05 (0 uses decimals)
+ *           example: 0
+ *         roundingMode:
+ *           type: string
+ *           enum: [nearest, up, down]
+ *         chargeable:
+ *           type: boolean
+ *           description: Whether checkouts can be charged in this currency
+ *         active:
+ *           type: boolean
+ *     DisplayPricing:
+ *       type: object
+ *       description: ProductPricing converted to the requested currency and rounded by its rules
+ *       properties:
+ *         currency:
+ *           type: string
+ *           example: USD
+ *         price:
+ *           type: number
+ *           example: 9.75
+ *         regularPrice:
+ *           type: number
+ *           example: 12.99
+ *         compareAtPrice:
+ *           type: number
+ *           nullable: true
+ *           example: 12.99
+ */
+
+export const currenciesRouter = router;
@@ -0,0 +1,65 @@
+import express from 'express';
+import { getDevices } from '../controllers/devices.controller.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /api/devices:
+ *   get:
+ *     summary: Retrieve the device catalog
+ *     description: Lists the devices accessories can be compatible with, for a "find accessories for my phone" picker. Pass a device's slug or ID as `device` to GET /api/products to filter by it.
+ *     tags:
+ *       - Devices
+ *     parameters:
+ *       - in: query
+ *         name: brand
+ *         schema:
+ *           type: string
+ *         description: Only list devices of this brand (case-insensitive)
+ *         example: "Apple"
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved devices
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 1
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Device'
+ */
+router.get('/', getDevices);
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Device:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         brand:
+ *           type: string
+ *           example: "Apple"
+ *         model:
+ *           type: string
+ *           example: "iPhone"
+ *         generation:
+ *           type: string
+ *           example: "15 Pro"
+ *         slug:
+ *           type: string
+ *           example: "apple-iphone-15-pro"
+ */
+
+export const devicesRouter = router;
@@ -1,20 +1,29 @@
 import express from 'express';
-import { getProducts, getProductById, deleteProduct, updateProduct, createProduct, createProductReview, getProductReviews } from '../controllers/products.controller.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { getProducts, getSearchSuggestions, getRecentlyViewed, getProductById, getProductBySlug, getProductCompatibility, getRelatedProducts, getBoughtTogether, deleteProduct, restoreProduct, updateProduct, createProduct, createProductReview, getProductReviews } from '../controllers/products.controller.js';
+import { addProductImages, updateProductImage, removeProductImage, reorderProductImages, setPrimaryProductImage } from '../controllers/productImages.controller.js';
+import { getProductQuestions, createProductQuestion, createQuestionAnswer, voteQuestion, voteAnswer, moderateQuestion, moderateAnswer, deleteQuestion } from '../controllers/productQuestions.controller.js';
+import { protect, authorize, optionalAuth } from '../middleware/auth.js';
+import { resolveCurrency } from '../middleware/currency.js';
 import { uploadMultiple } from '../middleware/fileUpload.js';
+import { parseJsonFields } from '../middleware/parseJson.js';
 import { body } from 'express-validator';
 
 const router = express.Router();
 
+// resolveCurrency goes on the public read routes only: their responses include
+// prices in the requested display currency, admin writes don't depend on it
+
 /**
  * @openapi
  * /api/products:
  *   get:
  *     summary: Retrieve a list of all products
- *     description: Fetches a paginated list of products with optional category filtering. Supports pagination via query parameters `page` and `limit`.
+ *     description: Fetches a paginated list of products with optional filtering and full-text search. Supports pagination via query parameters `page` and `limit`, and returns facet counts for the filter sidebar. Each facet is counted with every other active filter applied. Products include `displayPricing` in the requested currency; price filters and price facets use base-currency amounts.
  *     tags:
  *       - Products
  *     parameters:
+ *       - $ref: '#/components/parameters/CurrencyQuery'
+ *       - $ref: '#/components/parameters/CurrencyHeader'
  *       - in: query
  *         name: page
  *         schema:
@@ -26,13 +35,71 @@ const router = express.Router();
  *         schema:
  *           type: integer
  *           default: 10
+ *           minimum: 1
+ *           maximum: 100
  *         description: Number of products per page
  *       - in: query
  *         name: category
  *         schema:
  *           type: string
- *           enum: ['cases', 'screen protectors', 'magsafe', 'cables', 'chargers', 'powerbanks', 'headphones', 'speakers', 'smartwatches', 'tablets', 'laptops', 'accessories']
- *         description: Filter products by category
+ *         description: Filter products by category slug. A parent category also matches all of its subcategories. Pass several categories comma separated or by repeating the parameter.
+ *         example: "cases,cables"
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *         description: Only include products priced at or above this value (current price, including running sales)
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *         description: Only include products priced at or below this value (current price, including running sales)
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 5
+ *         description: Only include products with at least this average rating
+ *       - in: query
+ *         name: pagination
+ *         schema:
+ *           type: string
+ *           enum: [cursor]
+ *         description: Set to `cursor` to page with opaque cursors instead of page numbers. Cursor pages carry no totals and stay stable while products are added.
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: The `nextCursor` returned by the previous cursor page. Implies cursor pagination; `page` is ignored. Requires `sort` when `q` is given.
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [price_asc, price_desc, newest, rating, best_selling]
+ *         description: Sort order. Defaults to relevance when `q` is given. `best_selling` ranks by units sold in completed checkouts.
+ *       - in: query
+ *         name: attr.{key}
+ *         schema:
+ *           type: string
+ *         description: Filter by a spec attribute of the category, e.g. `attr.connectivity=bluetooth` (comma separate several values). Number attributes also accept `attr.{key}_gte`, `_gt`, `_lte` and `_lt`, e.g. `attr.wattage_gte=20`.
+ *       - in: query
+ *         name: device
+ *         schema:
+ *           type: string
+ *         description: Only include products compatible with this device (ID or slug), e.g. cases for a specific phone
+ *         example: "apple-iphone-15-pro"
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: boolean
+ *         description: When true, only include products with stock available
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search term matched against product name and description. Results are sorted by relevance and partial or slightly misspelled words still match (e.g. "powerb").
+ *         example: "powerbank"
  *     responses:
  *       200:
  *         description: Successfully retrieved the list of products
@@ -46,6 +113,7 @@ const router = express.Router();
  *                   example: true
  *                 pagination:
  *                   type: object
+ *                   description: In cursor mode this holds `nextCursor`, `hasMore` and `itemsPerPage` instead of page totals.
  *                   properties:
  *                     currentPage:
  *                       type: integer
@@ -59,6 +127,8 @@ const router = express.Router();
  *                     itemsPerPage:
  *                       type: integer
  *                       example: 10
+ *                 facets:
+ *                   $ref: '#/components/schemas/ProductFacets'
  *                 data:
  *                   type: array
  *                   items:
@@ -70,17 +140,37 @@ const router = express.Router();
  *                 totalPages: 5
  *                 totalItems: 50
  *                 itemsPerPage: 10
+ *               facets:
+ *                 categories:
+ *                   - category: "cases"
+ *                     count: 32
+ *                   - category: "cables"
+ *                     count: 18
+ *                 prices:
+ *                   - min: 0
+ *                     max: 25
+ *                     count: 41
+ *                   - min: 25
+ *                     max: 50
+ *                     count: 9
+ *                 ratings:
+ *                   - minRating: 4
+ *                     count: 20
+ *                   - minRating: 3
+ *                     count: 35
  *               data:
  *                 - _id: "507f1f77bcf86cd799439011"
  *                   name: "Sample Case"
- *                   images: ["/uploads/products/sample-case.jpg"]
+ *                   images: [{ url: "/uploads/products/sample-case.jpg", alt: "Sample Case" }]
  *                   description: "A durable phone case"
  *                   price: 19.99
  *                   rating: 4.5
  *                   stock: 100
- *                   category: "Cases"
+ *                   category: "cases"
  *                   createdAt: "2025-10-04T22:30:00.000Z"
  *                   updatedAt: "2025-10-04T22:30:00.000Z"
+ *       400:
+ *         description: Invalid sort option or cursor
  *       500:
  *         description: Server error
  *         content:
@@ -95,17 +185,135 @@ const router = express.Router();
  *                   type: string
  *                   example: Server Error
  */
-router.get('/', getProducts);
+router.get('/', resolveCurrency, getProducts);
+
+/**
+ * @openapi
+ * /api/products/suggest:
+ *   get:
+ *     summary: Search autocomplete suggestions
+ *     description: >
+ *       Ranked suggestions for a partially typed search, mixing popular past searches, categories and
+ *       product names. Every typed word must start a word of the suggestion; the last word may be partial.
+ *       Served from an in-memory index rebuilt every 10 minutes, so new products and searches appear with a short delay.
+ *     tags:
+ *       - Products
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: What the shopper has typed so far
+ *         example: "usb c ch"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 8
+ *           maximum: 10
+ *         description: Maximum number of suggestions
+ *     responses:
+ *       200:
+ *         description: Suggestions, best first (empty when q is blank)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [query, category, product]
+ *                       text:
+ *                         type: string
+ *                         example: "USB-C Chargers"
+ *                       product:
+ *                         type: string
+ *                         description: Product ID (product suggestions)
+ *                       slug:
+ *                         type: string
+ *                         description: Product slug (product suggestions)
+ *                       category:
+ *                         type: string
+ *                         description: Category slug (category and product suggestions)
+ */
+router.get('/suggest', getSearchSuggestions);
+
+/**
+ * @openapi
+ * /api/products/recently-viewed:
+ *   get:
+ *     summary: Get recently viewed products
+ *     description: >
+ *       Products the caller opened with GET /api/products/{id}, most recent first, de-duplicated and capped at 20.
+ *       Logged-in users get their account history; anonymous visitors get the history kept under their
+ *       X-Visitor-Id header, which is merged into the account at login. Unpublished and deleted products are left out.
+ *     tags:
+ *       - Products
+ *     parameters:
+ *       - in: header
+ *         name: X-Visitor-Id
+ *         schema:
+ *           type: string
+ *         description: Anonymous visitor ID (8-64 letters, digits, - or _), used when no token is sent
+ *       - in: query
+ *         name: excludeArchived
+ *         schema:
+ *           type: boolean
+ *         description: Leave out archived products
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: boolean
+ *         description: Leave out out-of-stock products
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the history (empty without a token or visitor ID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Product'
+ *                       - type: object
+ *                         properties:
+ *                           viewedAt:
+ *                             type: string
+ *                             format: date-time
+ */
+router.get('/recently-viewed', resolveCurrency, optionalAuth, getRecentlyViewed);
 
 /**
  * @openapi
  * /api/products/{id}:
  *   get:
  *     summary: Retrieve a single product by ID
- *     description: Fetches detailed information about a specific product identified by its ID.
+ *     description: Fetches detailed information about a specific product identified by its ID. Products that are not published are only returned to admins (send an admin bearer token to preview drafts).
  *     tags:
  *       - Products
  *     parameters:
+ *       - $ref: '#/components/parameters/CurrencyQuery'
+ *       - $ref: '#/components/parameters/CurrencyHeader'
  *       - in: path
  *         name: id
  *         required: true
@@ -113,6 +321,11 @@ router.get('/', getProducts);
  *           type: string
  *         description: ID of the product to retrieve
  *         example: "507f1f77bcf86cd799439011"
+ *       - in: header
+ *         name: X-Visitor-Id
+ *         schema:
+ *           type: string
+ *         description: Anonymous visitor ID; records the view in the visitor's recently viewed history (logged-in users are recorded by token)
  *     responses:
  *       200:
  *         description: Successfully retrieved the product
@@ -131,12 +344,12 @@ router.get('/', getProducts);
  *               data:
  *                 _id: "507f1f77bcf86cd799439011"
  *                 name: "Sample Case"
- *                 images: ["/uploads/products/sample-case.jpg"]
+ *                 images: [{ url: "/uploads/products/sample-case.jpg", alt: "Sample Case" }]
  *                 description: "A durable phone case"
  *                 price: 19.99
  *                 rating: 4.5
  *                 stock: 100
- *                 category: "Cases"
+ *                 category: "cases"
  *                 createdAt: "2025-10-04T22:30:00.000Z"
  *                 updatedAt: "2025-10-04T22:30:00.000Z"
  *       404:
@@ -166,7 +379,221 @@ router.get('/', getProducts);
  *                   type: string
  *                   example: Server Error
  */
-router.get('/:id', getProductById);
+router.get('/:id', resolveCurrency, optionalAuth, getProductById);
+
+/**
+ * @openapi
+ * /api/products/slug/{slug}:
+ *   get:
+ *     summary: Retrieve a single product by its URL slug
+ *     description: Fetches a product by its current slug. If the slug belonged to the product before it was renamed, responds with a 301 redirect to the product's current slug. Unpublished products are only returned to admins.
+ *     tags:
+ *       - Products
+ *     parameters:
+ *       - $ref: '#/components/parameters/CurrencyQuery'
+ *       - $ref: '#/components/parameters/CurrencyHeader'
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Slug of the product to retrieve
+ *         example: "sample-case"
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the product
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Product'
+ *       301:
+ *         description: The slug is outdated; the Location header points to the current slug
+ *       404:
+ *         description: Product not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Product not found
+ */
+router.get('/slug/:slug', resolveCurrency, optionalAuth, getProductBySlug);
+
+/**
+ * @openapi
+ * /api/products/{id}/compatibility:
+ *   get:
+ *     summary: List the devices a product is compatible with
+ *     description: Returns the devices a case, screen protector or MagSafe accessory fits, sorted by brand and model.
+ *     tags:
+ *       - Products
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the product
+ *         example: "507f1f77bcf86cd799439011"
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved compatible devices
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: object
+ *                       properties:
+ *                         _id: { type: string }
+ *                         name: { type: string }
+ *                         slug: { type: string }
+ *                         category: { type: string }
+ *                     devices:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Device'
+ *       404:
+ *         description: Product not found
+ */
+router.get('/:id/compatibility', optionalAuth, getProductCompatibility);
+
+/**
+ * @openapi
+ * /api/products/{id}/related:
+ *   get:
+ *     summary: Get related products
+ *     description: Products from the same category (then sibling categories) ranked by shared spec values. Rankings are precomputed periodically, so newly added products appear after the next refresh.
+ *     tags:
+ *       - Products
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the product
+ *         example: "507f1f77bcf86cd799439011"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 8
+ *           maximum: 20
+ *         description: Number of products to return
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 4
+ *                 refreshedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: When the rankings were last computed (null before the first run)
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Product'
+ *                       - type: object
+ *                         properties:
+ *                           relevance:
+ *                             type: integer
+ *                             description: Match score; higher is more related
+ *                             example: 5
+ *       404:
+ *         description: Product not found
+ */
+router.get('/:id/related', resolveCurrency, optionalAuth, getRelatedProducts);
+
+/**
+ * @openapi
+ * /api/products/{id}/bought-together:
+ *   get:
+ *     summary: Get products frequently bought together
+ *     description: Products that appear in the same completed checkouts as this one, most frequent first. Rankings are precomputed periodically.
+ *     tags:
+ *       - Products
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the product
+ *         example: "507f1f77bcf86cd799439011"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 8
+ *           maximum: 20
+ *         description: Number of products to return
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 4
+ *                 refreshedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: When the rankings were last computed (null before the first run)
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Product'
+ *                       - type: object
+ *                         properties:
+ *                           timesBoughtTogether:
+ *                             type: integer
+ *                             description: Number of completed checkouts containing both products
+ *                             example: 12
+ *       404:
+ *         description: Product not found
+ */
+router.get('/:id/bought-together', resolveCurrency, optionalAuth, getBoughtTogether);
 
 /**
  * @openapi
@@ -196,6 +623,9 @@ router.get('/:id', getProductById);
  *                 type: string
  *                 description: Name of the product (max 100 characters)
  *                 example: "Sample Case"
+ *               sku:
+ *                 type: string
+ *                 description: Unique stock keeping unit (optional)
  *               price:
  *                 type: number
  *                 description: Price of the product
@@ -204,21 +634,70 @@ router.get('/:id', getProductById);
  *                 type: string
  *                 description: Description of the product (max 500 characters)
  *                 example: "A durable phone case"
+ *               slug:
+ *                 type: string
+ *                 description: Custom URL slug (optional; generated from the name otherwise). The previous slug keeps redirecting.
+ *               metaTitle:
+ *                 type: string
+ *                 description: SEO title (max 70 characters)
+ *               metaDescription:
+ *                 type: string
+ *                 description: SEO description (max 160 characters)
  *               stock:
  *                 type: number
  *                 description: Available stock quantity
  *                 example: 100
  *               category:
  *                 type: string
- *                 enum: ['cases', 'screen protectors', 'magsafe', 'cables', 'chargers', 'powerbanks', 'headphones', 'speakers', 'smartwatches', 'tablets', 'laptops', 'accessories']
- *                 description: Product category
- *                 example: "Cases"
+ *                 description: Slug of the product's category
+ *                 example: "cases"
  *               images:
  *                 type: array
  *                 items:
  *                   type: string
  *                   format: binary
  *                 description: Product images to upload
+ *               imageAlt:
+ *                 type: string
+ *                 description: Alt text for the uploaded images (defaults to the product name)
+ *               compatibleDevices:
+ *                 type: string
+ *                 description: JSON array of device IDs the product fits. Only allowed in categories with device compatibility (cases, screen protectors, MagSafe).
+ *               compareAtPrice:
+ *                 type: number
+ *                 description: '"Was" price shown struck through next to the price'
+ *                 example: 24.99
+ *               status:
+ *                 type: string
+ *                 enum: [draft, scheduled, published, hidden]
+ *                 description: Publication status. Only published products are shown to shoppers; scheduled products are published automatically at publishAt.
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When a scheduled product goes live (required for scheduled)
+ *               type:
+ *                 type: string
+ *                 enum: [simple, bundle]
+ *                 description: Set to "bundle" to sell a kit of other products at one price
+ *               bundleItems:
+ *                 type: string
+ *                 description: JSON array of bundle components (product ID, variant ID when the product has variants, and quantity). Stock is derived from the components, so it need not be sent for bundles.
+ *                 example: '[{"product":"507f1f77bcf86cd799439011","quantity":1},{"product":"507f1f77bcf86cd799439012","variant":"64b7f0c2a1b2c3d4e5f60718","quantity":2}]'
+ *               salePrices:
+ *                 type: string
+ *                 description: JSON array of scheduled sales; each price must be below the regular price and windows cannot overlap
+ *                 example: '[{"price":14.99,"startsAt":"2025-11-28T00:00:00Z","endsAt":"2025-12-01T00:00:00Z","label":"Black Friday"}]'
+ *               specs:
+ *                 type: string
+ *                 description: JSON object of technical specs keyed by the category's attribute definitions. Values are checked and stored with the attribute's type.
+ *                 example: '{"wattage":20,"connectivity":"usb-c"}'
+ *               options:
+ *                 type: string
+ *                 description: JSON array of option types offered, e.g. [{"name":"color","values":["black","blue"]}]
+ *               variants:
+ *                 type: string
+ *                 description: JSON array of variants with a SKU, option values, optional price override, stock and image URLs. When present, product stock is the sum of variant stock.
+ *                 example: '[{"sku":"CBL-USBC-1M","options":{"length":"1m"},"stock":40},{"sku":"CBL-USBC-2M","options":{"length":"2m"},"price":14.99,"stock":25}]'
  *     responses:
  *       201:
  *         description: Product successfully created
@@ -237,12 +716,12 @@ router.get('/:id', getProductById);
  *               data:
  *                 _id: "507f1f77bcf86cd799439011"
  *                 name: "Sample Case"
- *                 images: ["/uploads/products/sample-case.jpg"]
+ *                 images: [{ url: "/uploads/products/sample-case.jpg", alt: "Sample Case" }]
  *                 description: "A durable phone case"
  *                 price: 19.99
  *                 rating: 0
  *                 stock: 100
- *                 category: "Cases"
+ *                 category: "cases"
  *                 createdAt: "2025-10-04T22:30:00.000Z"
  *                 updatedAt: "2025-10-04T22:30:00.000Z"
  *       400:
@@ -273,14 +752,14 @@ router.get('/:id', getProductById);
  *       403:
  *         description: Forbidden, user is not an admin
  */
-router.post('/add', protect, authorize('admin'), uploadMultiple, createProduct);
+router.post('/add', protect, authorize('admin'), uploadMultiple, parseJsonFields('options', 'variants', 'specs', 'compatibleDevices', 'salePrices', 'bundleItems'), createProduct);
 
 /**
  * @openapi
  * /api/products/{id}:
  *   delete:
- *     summary: Delete a product by ID
- *     description: Deletes a specific product identified by its ID. Requires admin authentication.
+ *     summary: Archive a product by ID
+ *     description: Archives (soft deletes) a specific product identified by its ID. Archived products are hidden from listings but still resolve for order history, and carts and wishlists report them as unavailable. Use PUT /api/products/{id}/restore to undo, or DELETE /api/admin/products/archived to purge them permanently. Requires admin authentication.
  *     tags:
  *       - Products
  *     security:
@@ -291,11 +770,11 @@ router.post('/add', protect, authorize('admin'), uploadMultiple, createProduct);
  *         required: true
  *         schema:
  *           type: string
- *         description: ID of the product to delete
+ *         description: ID of the product to archive
  *         example: "507f1f77bcf86cd799439011"
  *     responses:
  *       200:
- *         description: Product successfully deleted
+ *         description: Product successfully archived
  *         content:
  *           application/json:
  *             schema:
@@ -305,8 +784,7 @@ router.post('/add', protect, authorize('admin'), uploadMultiple, createProduct);
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   type: object
- *                   example: {}
+ *                   $ref: '#/components/schemas/Product'
  *       404:
  *         description: Product not found
  *         content:
@@ -342,10 +820,10 @@ router.delete('/:id', protect, authorize('admin'), deleteProduct);
 
 /**
  * @openapi
- * /api/products/{id}:
+ * /api/products/{id}/restore:
  *   put:
- *     summary: Update a product by ID
- *     description: Updates a specific product's details identified by its ID. Requires admin authentication and supports updating images. Validates input data before updating.
+ *     summary: Restore an archived product
+ *     description: Makes an archived product visible in listings again. Requires admin authentication.
  *     tags:
  *       - Products
  *     security:
@@ -356,45 +834,69 @@ router.delete('/:id', protect, authorize('admin'), deleteProduct);
  *         required: true
  *         schema:
  *           type: string
- *         description: ID of the product to update
+ *         description: ID of the product to restore
  *         example: "507f1f77bcf86cd799439011"
- *     requestBody:
- *       required: false
+ *     responses:
+ *       200:
+ *         description: Product successfully restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Product'
+ *       404:
+ *         description: Product not found
+ *       401:
+ *         description: Unauthorized access, invalid or missing token
+ *       403:
+ *         description: Forbidden, user is not an admin
+ */
+router.put('/:id/restore', protect, authorize('admin'), restoreProduct);
+
+/**
+ * @openapi
+ * /api/products/{id}/images:
+ *   post:
+ *     summary: Add images to a product's gallery
+ *     description: Uploads images and appends them after the existing ones. Requires admin authentication.
+ *     tags:
+ *       - Products
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the product
+ *         example: "507f1f77bcf86cd799439011"
+ *     requestBody:
+ *       required: true
  *       content:
  *         multipart/form-data:
  *           schema:
  *             type: object
+ *             required:
+ *               - images
  *             properties:
- *               name:
- *                 type: string
- *                 description: Updated name of the product (max 100 characters)
- *                 example: "Updated Sample Case"
- *               price:
- *                 type: number
- *                 description: Updated price of the product
- *                 example: 24.99
- *               description:
- *                 type: string
- *                 description: Updated description of the product (max 500 characters)
- *                 example: "An updated durable phone case"
- *               stock:
- *                 type: number
- *                 description: Updated stock quantity
- *                 example: 150
- *               category:
- *                 type: string
- *                 enum: ['cases', 'screen protectors', 'magsafe', 'cables', 'chargers', 'powerbanks', 'headphones', 'speakers', 'smartwatches', 'tablets', 'laptops', 'accessories']
- *                 description: Updated product category
- *                 example: "Cases"
  *               images:
  *                 type: array
  *                 items:
  *                   type: string
  *                   format: binary
- *                 description: Updated product images to upload
+ *                 description: Images to append (up to 10 per request, 20 per product)
+ *               alt:
+ *                 type: string
+ *                 description: Alt text for the new images (defaults to the product name)
  *     responses:
- *       200:
- *         description: Product successfully updated
+ *       201:
+ *         description: Images added; returns the whole gallery
  *         content:
  *           application/json:
  *             schema:
@@ -404,45 +906,55 @@ router.delete('/:id', protect, authorize('admin'), deleteProduct);
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   $ref: '#/components/schemas/Product'
- *             example:
- *               success: true
- *               data:
- *                 _id: "507f1f77bcf86cd799439011"
- *                 name: "Updated Sample Case"
- *                 images: ["/uploads/products/updated-sample-case.jpg"]
- *                 description: "An updated durable phone case"
- *                 price: 24.99
- *                 rating: 4.5
- *                 stock: 150
- *                 category: "Cases"
- *                 createdAt: "2025-10-04T22:30:00.000Z"
- *                 updatedAt: "2025-10-04T23:00:00.000Z"
- *       400:
- *         description: Invalid request data
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 errors:
  *                   type: array
  *                   items:
- *                     type: object
- *                     properties:
- *                       msg:
- *                         type: string
- *                       param:
- *                         type: string
- *                       location:
- *                         type: string
- *             example:
- *               errors:
- *                 - msg: "Price cannot be negative"
- *                   param: "price"
- *                   location: "body"
+ *                     $ref: '#/components/schemas/ProductImage'
+ *       400:
+ *         description: No images uploaded or the gallery would exceed 20 images
  *       404:
  *         description: Product not found
+ *       401:
+ *         description: Unauthorized access, invalid or missing token
+ *       403:
+ *         description: Forbidden, user is not an admin
+ */
+router.post('/:id/images', protect, authorize('admin'), uploadMultiple, addProductImages);
+
+/**
+ * @openapi
+ * /api/products/{id}/images/order:
+ *   put:
+ *     summary: Reorder a product's gallery
+ *     description: Sets the order of the gallery. The first image becomes the primary image. Requires admin authentication.
+ *     tags:
+ *       - Products
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the product
+ *         example: "507f1f77bcf86cd799439011"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - order
+ *             properties:
+ *               order:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Every image ID of the product, in the new order
+ *     responses:
+ *       200:
+ *         description: Gallery reordered
  *         content:
  *           application/json:
  *             schema:
@@ -450,25 +962,29 @@ router.delete('/:id', protect, authorize('admin'), deleteProduct);
  *               properties:
  *                 success:
  *                   type: boolean
- *                   example: false
- *                 error:
- *                   type: string
- *                   example: Product not found
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProductImage'
+ *       400:
+ *         description: The order does not list every image exactly once
+ *       404:
+ *         description: Product not found
  *       401:
  *         description: Unauthorized access, invalid or missing token
  *       403:
  *         description: Forbidden, user is not an admin
  */
-router.put('/:id', protect, authorize('admin'), uploadMultiple, updateProduct);
+router.put('/:id/images/order', protect, authorize('admin'), reorderProductImages);
 
 /**
  * @openapi
- * /api/products/{id}/reviews:
- *   post:
- *     summary: Add a review for a product
- *     description: Allows authenticated users to post a review (rating and optional comment) for a specific product. Users can only review a product once.
+ * /api/products/{id}/images/{imageId}:
+ *   put:
+ *     summary: Update an image's alt text
  *     tags:
- *       - Reviews
+ *       - Products
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -477,28 +993,28 @@ router.put('/:id', protect, authorize('admin'), uploadMultiple, updateProduct);
  *         required: true
  *         schema:
  *           type: string
- *         description: ID of the product to review
+ *         description: ID of the product
  *         example: "507f1f77bcf86cd799439011"
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the image in the gallery
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - rating
  *             properties:
- *               rating:
- *                 type: number
- *                 description: Rating for the product (1 to 5)
- *                 example: 4
- *               comment:
+ *               alt:
  *                 type: string
- *                 description: Optional review comment (max 500 characters)
- *                 example: "Great product, very durable!"
+ *                 description: Alt text (max 150 characters)
+ *                 example: "Black silicone case, back view"
  *     responses:
- *       201:
- *         description: Review successfully added
+ *       200:
+ *         description: Image updated
  *         content:
  *           application/json:
  *             schema:
@@ -508,9 +1024,37 @@ router.put('/:id', protect, authorize('admin'), uploadMultiple, updateProduct);
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   $ref: '#/components/schemas/Product'
- *       400:
- *         description: Invalid request data or user already reviewed
+ *                   $ref: '#/components/schemas/ProductImage'
+ *       404:
+ *         description: Product or image not found
+ *       401:
+ *         description: Unauthorized access, invalid or missing token
+ *       403:
+ *         description: Forbidden, user is not an admin
+ *   delete:
+ *     summary: Remove an image from a product's gallery
+ *     description: Removes the image from the gallery and deletes the file from media storage. Requires admin authentication.
+ *     tags:
+ *       - Products
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the product
+ *         example: "507f1f77bcf86cd799439011"
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the image in the gallery
+ *     responses:
+ *       200:
+ *         description: Image removed; returns the remaining gallery
  *         content:
  *           application/json:
  *             schema:
@@ -518,33 +1062,31 @@ router.put('/:id', protect, authorize('admin'), uploadMultiple, updateProduct);
  *               properties:
  *                 success:
  *                   type: boolean
- *                   example: false
- *                 error:
- *                   type: string
- *                   example: You have already reviewed this product
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProductImage'
  *       404:
- *         description: Product not found
+ *         description: Product or image not found
  *       401:
  *         description: Unauthorized access, invalid or missing token
+ *       403:
+ *         description: Forbidden, user is not an admin
  */
-router.post(
-  '/:id/reviews',
-  protect,
-  [
-    body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
-    body('comment').optional().trim().isLength({ max: 500 }).withMessage('Comment cannot be more than 500 characters')
-  ],
-  createProductReview
-);
+router.put('/:id/images/:imageId', protect, authorize('admin'), updateProductImage);
+router.delete('/:id/images/:imageId', protect, authorize('admin'), removeProductImage);
 
 /**
  * @openapi
- * /api/products/{id}/reviews:
- *   get:
- *     summary: Get all reviews for a product
- *     description: Retrieves all reviews for a specific product, including user details.
+ * /api/products/{id}/images/{imageId}/primary:
+ *   put:
+ *     summary: Set the primary image
+ *     description: Moves the image to the front of the gallery, keeping the order of the others. Requires admin authentication.
  *     tags:
- *       - Reviews
+ *       - Products
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -553,9 +1095,15 @@ router.post(
  *           type: string
  *         description: ID of the product
  *         example: "507f1f77bcf86cd799439011"
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the image in the gallery
  *     responses:
  *       200:
- *         description: Successfully retrieved reviews
+ *         description: Primary image set
  *         content:
  *           application/json:
  *             schema:
@@ -567,41 +1115,870 @@ router.post(
  *                 data:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Review'
- *             example:
- *               success: true
- *               data:
- *                 - user:
- *                     _id: "507f1f77bcf86cd799439012"
- *                     name: "John Doe"
- *                     email: "john@example.com"
- *                   rating: 4
- *                   comment: "Great product, very durable!"
- *                   createdAt: "2025-10-11T19:13:00.000Z"
- *                 - user:
- *                     _id: "507f1f77bcf86cd799439013"
- *                     name: "Jane Doe"
- *                     email: "jane@example.com"
- *                   rating: 5
- *                   comment: "Absolutely fantastic!"
- *                   createdAt: "2025-10-11T20:00:00.000Z"
+ *                     $ref: '#/components/schemas/ProductImage'
  *       404:
- *         description: Product not found
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: false
- *                 error:
- *                   type: string
- *                   example: Product not found
- *       500:
+ *         description: Product or image not found
+ *       401:
+ *         description: Unauthorized access, invalid or missing token
+ *       403:
+ *         description: Forbidden, user is not an admin
+ */
+router.put('/:id/images/:imageId/primary', protect, authorize('admin'), setPrimaryProductImage);
+
+/**
+ * @openapi
+ * /api/products/{id}:
+ *   put:
+ *     summary: Update a product by ID
+ *     description: Updates a specific product's details identified by its ID. Requires admin authentication and supports updating images. Validates input data before updating.
+ *     tags:
+ *       - Products
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the product to update
+ *         example: "507f1f77bcf86cd799439011"
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Updated name of the product (max 100 characters)
+ *                 example: "Updated Sample Case"
+ *               sku:
+ *                 type: string
+ *                 description: Unique stock keeping unit (optional)
+ *               price:
+ *                 type: number
+ *                 description: Updated price of the product
+ *                 example: 24.99
+ *               description:
+ *                 type: string
+ *                 description: Updated description of the product (max 500 characters)
+ *                 example: "An updated durable phone case"
+ *               slug:
+ *                 type: string
+ *                 description: Custom URL slug (optional; generated from the name otherwise). The previous slug keeps redirecting.
+ *               metaTitle:
+ *                 type: string
+ *                 description: SEO title (max 70 characters)
+ *               metaDescription:
+ *                 type: string
+ *                 description: SEO description (max 160 characters)
+ *               stock:
+ *                 type: number
+ *                 description: >
+ *                   Not editable here: on-hand stock only changes through sales and
+ *                   /api/admin/products/{id}/inventory/adjustments. The current value may be sent back unchanged.
+ *               category:
+ *                 type: string
+ *                 description: Slug of the updated product category
+ *                 example: "cases"
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Images that replace the whole gallery. Use the /images endpoints to change single images.
+ *               imageAlt:
+ *                 type: string
+ *                 description: Alt text for the uploaded images (defaults to the product name)
+ *               compatibleDevices:
+ *                 type: string
+ *                 description: JSON array of device IDs the product fits. Only allowed in categories with device compatibility (cases, screen protectors, MagSafe).
+ *               compareAtPrice:
+ *                 type: number
+ *                 description: '"Was" price shown struck through next to the price'
+ *                 example: 24.99
+ *               status:
+ *                 type: string
+ *                 enum: [draft, scheduled, published, hidden]
+ *                 description: Publication status. Only published products are shown to shoppers; scheduled products are published automatically at publishAt.
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When a scheduled product goes live (required for scheduled)
+ *               type:
+ *                 type: string
+ *                 enum: [simple, bundle]
+ *                 description: Set to "bundle" to sell a kit of other products at one price
+ *               bundleItems:
+ *                 type: string
+ *                 description: JSON array of bundle components (product ID, variant ID when the product has variants, and quantity). Stock is derived from the components, so it need not be sent for bundles.
+ *                 example: '[{"product":"507f1f77bcf86cd799439011","quantity":1},{"product":"507f1f77bcf86cd799439012","variant":"64b7f0c2a1b2c3d4e5f60718","quantity":2}]'
+ *               salePrices:
+ *                 type: string
+ *                 description: JSON array of scheduled sales; each price must be below the regular price and windows cannot overlap
+ *                 example: '[{"price":14.99,"startsAt":"2025-11-28T00:00:00Z","endsAt":"2025-12-01T00:00:00Z","label":"Black Friday"}]'
+ *               specs:
+ *                 type: string
+ *                 description: JSON object of technical specs keyed by the category's attribute definitions. Values are checked and stored with the attribute's type.
+ *                 example: '{"wattage":20,"connectivity":"usb-c"}'
+ *               options:
+ *                 type: string
+ *                 description: JSON array of option types offered, e.g. [{"name":"color","values":["black","blue"]}]
+ *               variants:
+ *                 type: string
+ *                 description: >
+ *                   JSON array of variants with a SKU, option values, optional price override and image URLs.
+ *                   Existing variants (sent with their _id) keep their stock and new ones start with none;
+ *                   use inventory adjustments to change it. Product stock is the sum of variant stock.
+ *                 example: '[{"_id":"64b7f0c2a1b2c3d4e5f60718","sku":"CBL-USBC-1M","options":{"length":"1m"}},{"sku":"CBL-USBC-2M","options":{"length":"2m"},"price":14.99}]'
+ *     responses:
+ *       200:
+ *         description: Product successfully updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Product'
+ *             example:
+ *               success: true
+ *               data:
+ *                 _id: "507f1f77bcf86cd799439011"
+ *                 name: "Updated Sample Case"
+ *                 images: [{ url: "/uploads/products/updated-sample-case.jpg", alt: "Sample Case" }]
+ *                 description: "An updated durable phone case"
+ *                 price: 24.99
+ *                 rating: 4.5
+ *                 stock: 150
+ *                 category: "cases"
+ *                 createdAt: "2025-10-04T22:30:00.000Z"
+ *                 updatedAt: "2025-10-04T23:00:00.000Z"
+ *       400:
+ *         description: Invalid request data, or a change to stock (use inventory adjustments)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                       param:
+ *                         type: string
+ *                       location:
+ *                         type: string
+ *             example:
+ *               errors:
+ *                 - msg: "Price cannot be negative"
+ *                   param: "price"
+ *                   location: "body"
+ *       404:
+ *         description: Product not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Product not found
+ *       401:
+ *         description: Unauthorized access, invalid or missing token
+ *       403:
+ *         description: Forbidden, user is not an admin
+ */
+router.put('/:id', protect, authorize('admin'), uploadMultiple, parseJsonFields('options', 'variants', 'specs', 'compatibleDevices', 'salePrices', 'bundleItems'), updateProduct);
+
+/**
+ * @openapi
+ * /api/products/{id}/reviews:
+ *   post:
+ *     summary: Add a review for a product
+ *     description: Allows authenticated users to post a review (rating and optional comment) for a specific product. Users can only review a product once.
+ *     tags:
+ *       - Reviews
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the product to review
+ *         example: "507f1f77bcf86cd799439011"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: number
+ *                 description: Rating for the product (1 to 5)
+ *                 example: 4
+ *               comment:
+ *                 type: string
+ *                 description: Optional review comment (max 500 characters)
+ *                 example: "Great product, very durable!"
+ *     responses:
+ *       201:
+ *         description: Review successfully added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Invalid request data or user already reviewed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: You have already reviewed this product
+ *       404:
+ *         description: Product not found
+ *       401:
+ *         description: Unauthorized access, invalid or missing token
+ */
+router.post(
+  '/:id/reviews',
+  protect,
+  [
+    body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+    body('comment').optional().trim().isLength({ max: 500 }).withMessage('Comment cannot be more than 500 characters')
+  ],
+  createProductReview
+);
+
+/**
+ * @openapi
+ * /api/products/{id}/reviews:
+ *   get:
+ *     summary: Get all reviews for a product
+ *     description: Retrieves all reviews for a specific product, including user details.
+ *     tags:
+ *       - Reviews
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the product
+ *         example: "507f1f77bcf86cd799439011"
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved reviews
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Review'
+ *             example:
+ *               success: true
+ *               data:
+ *                 - user:
+ *                     _id: "507f1f77bcf86cd799439012"
+ *                     name: "John Doe"
+ *                     email: "john@example.com"
+ *                   rating: 4
+ *                   comment: "Great product, very durable!"
+ *                   createdAt: "2025-10-11T19:13:00.000Z"
+ *                 - user:
+ *                     _id: "507f1f77bcf86cd799439013"
+ *                     name: "Jane Doe"
+ *                     email: "jane@example.com"
+ *                   rating: 5
+ *                   comment: "Absolutely fantastic!"
+ *                   createdAt: "2025-10-11T20:00:00.000Z"
+ *       404:
+ *         description: Product not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Product not found
+ *       500:
  *         description: Server error
  */
-router.get('/:id/reviews', getProductReviews);
+router.get('/:id/reviews', getProductReviews);
+
+/**
+ * @openapi
+ * /api/products/{id}/questions:
+ *   get:
+ *     summary: Get questions and answers for a product
+ *     description: >
+ *       Approved questions with their approved answers, paginated. Logged-in users also see their own
+ *       questions and answers that are still awaiting moderation.
+ *     tags:
+ *       - Questions
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the product
+ *         example: "507f1f77bcf86cd799439011"
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [helpful, newest]
+ *           default: helpful
+ *         description: Most upvoted first, or newest first
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved questions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     currentPage: { type: integer }
+ *                     totalPages: { type: integer }
+ *                     totalItems: { type: integer }
+ *                     itemsPerPage: { type: integer }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProductQuestion'
+ *       400:
+ *         description: Invalid sort option
+ *       404:
+ *         description: Product not found
+ *   post:
+ *     summary: Ask a question about a product
+ *     description: Posts a question for moderation; it is shown to other shoppers once approved. Questions asked by admins are approved straight away.
+ *     tags:
+ *       - Questions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the product
+ *         example: "507f1f77bcf86cd799439011"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - question
+ *             properties:
+ *               question:
+ *                 type: string
+ *                 description: The question (10 to 500 characters)
+ *                 example: "Does this charger support PD 3.0?"
+ *     responses:
+ *       201:
+ *         description: Question posted and awaiting moderation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/ProductQuestion'
+ *       400:
+ *         description: Invalid question
+ *       401:
+ *         description: Unauthorized access, invalid or missing token
+ *       404:
+ *         description: Product not found
+ */
+router.get('/:id/questions', optionalAuth, getProductQuestions);
+router.post(
+  '/:id/questions',
+  protect,
+  [
+    body('question').trim().isLength({ min: 10, max: 500 }).withMessage('Question must be between 10 and 500 characters')
+  ],
+  createProductQuestion
+);
+
+/**
+ * @openapi
+ * /api/products/{id}/questions/{questionId}:
+ *   delete:
+ *     summary: Delete a question
+ *     description: Permanently removes a question and all of its answers. Requires admin authentication.
+ *     tags:
+ *       - Questions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the product
+ *         example: "507f1f77bcf86cd799439011"
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the question
+ *     responses:
+ *       200:
+ *         description: Question deleted
+ *       401:
+ *         description: Unauthorized access, invalid or missing token
+ *       403:
+ *         description: Forbidden, user is not an admin
+ *       404:
+ *         description: Question not found
+ */
+router.delete('/:id/questions/:questionId', protect, authorize('admin'), deleteQuestion);
+
+/**
+ * @openapi
+ * /api/products/{id}/questions/{questionId}/answers:
+ *   post:
+ *     summary: Answer a question
+ *     description: >
+ *       Admins and verified buyers (users with a completed order containing the product) can answer approved questions.
+ *       Answers by admins are published straight away; others await moderation. The asker is emailed once an answer is published.
+ *     tags:
+ *       - Questions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the product
+ *         example: "507f1f77bcf86cd799439011"
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the question
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - answer
+ *             properties:
+ *               answer:
+ *                 type: string
+ *                 description: The answer (max 1000 characters)
+ *                 example: "Yes, it supports USB PD 3.0 up to 65W."
+ *     responses:
+ *       201:
+ *         description: Answer posted; returns the question
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/ProductQuestion'
+ *       400:
+ *         description: Invalid answer
+ *       401:
+ *         description: Unauthorized access, invalid or missing token
+ *       403:
+ *         description: Only admins and verified buyers can answer
+ *       404:
+ *         description: Question not found
+ */
+router.post(
+  '/:id/questions/:questionId/answers',
+  protect,
+  [
+    body('answer').trim().isLength({ min: 1, max: 1000 }).withMessage('Answer must be between 1 and 1000 characters')
+  ],
+  createQuestionAnswer
+);
+
+/**
+ * @openapi
+ * /api/products/{id}/questions/{questionId}/upvote:
+ *   post:
+ *     summary: Upvote a question
+ *     description: Marks an approved question as useful. Upvoting twice has no further effect.
+ *     tags:
+ *       - Questions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the product
+ *         example: "507f1f77bcf86cd799439011"
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the question
+ *     responses:
+ *       200:
+ *         description: Current vote count and whether the caller has upvoted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     upvoteCount:
+ *                       type: integer
+ *                       example: 4
+ *                     upvoted:
+ *                       type: boolean
+ *                       example: true
+ *       401:
+ *         description: Unauthorized access, invalid or missing token
+ *       404:
+ *         description: Question not found
+ *   delete:
+ *     summary: Remove an upvote from a question
+ *     tags:
+ *       - Questions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the product
+ *         example: "507f1f77bcf86cd799439011"
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the question
+ *     responses:
+ *       200:
+ *         description: Current vote count and whether the caller has upvoted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     upvoteCount:
+ *                       type: integer
+ *                       example: 4
+ *                     upvoted:
+ *                       type: boolean
+ *                       example: true
+ *       401:
+ *         description: Unauthorized access, invalid or missing token
+ *       404:
+ *         description: Question not found
+ */
+router.post('/:id/questions/:questionId/upvote', protect, voteQuestion);
+router.delete('/:id/questions/:questionId/upvote', protect, voteQuestion);
+
+/**
+ * @openapi
+ * /api/products/{id}/questions/{questionId}/answers/{answerId}/upvote:
+ *   post:
+ *     summary: Upvote an answer
+ *     description: Marks an approved answer as helpful. Upvoting twice has no further effect.
+ *     tags:
+ *       - Questions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the product
+ *         example: "507f1f77bcf86cd799439011"
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the question
+ *       - in: path
+ *         name: answerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the answer
+ *     responses:
+ *       200:
+ *         description: Current vote count and whether the caller has upvoted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     upvoteCount:
+ *                       type: integer
+ *                       example: 4
+ *                     upvoted:
+ *                       type: boolean
+ *                       example: true
+ *       401:
+ *         description: Unauthorized access, invalid or missing token
+ *       404:
+ *         description: Question or answer not found
+ *   delete:
+ *     summary: Remove an upvote from an answer
+ *     tags:
+ *       - Questions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the product
+ *         example: "507f1f77bcf86cd799439011"
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the question
+ *       - in: path
+ *         name: answerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the answer
+ *     responses:
+ *       200:
+ *         description: Current vote count and whether the caller has upvoted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     upvoteCount:
+ *                       type: integer
+ *                       example: 4
+ *                     upvoted:
+ *                       type: boolean
+ *                       example: true
+ *       401:
+ *         description: Unauthorized access, invalid or missing token
+ *       404:
+ *         description: Question or answer not found
+ */
+router.post('/:id/questions/:questionId/answers/:answerId/upvote', protect, voteAnswer);
+router.delete('/:id/questions/:questionId/answers/:answerId/upvote', protect, voteAnswer);
+
+/**
+ * @openapi
+ * /api/products/{id}/questions/{questionId}/moderation:
+ *   put:
+ *     summary: Approve or reject a question
+ *     description: Only approved questions are shown to shoppers and can be answered. Requires admin authentication.
+ *     tags:
+ *       - Questions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the product
+ *         example: "507f1f77bcf86cd799439011"
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the question
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, approved, rejected]
+ *     responses:
+ *       200:
+ *         description: Question moderated
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         description: Unauthorized access, invalid or missing token
+ *       403:
+ *         description: Forbidden, user is not an admin
+ *       404:
+ *         description: Question not found
+ */
+router.put('/:id/questions/:questionId/moderation', protect, authorize('admin'), moderateQuestion);
+
+/**
+ * @openapi
+ * /api/products/{id}/questions/{questionId}/answers/{answerId}/moderation:
+ *   put:
+ *     summary: Approve or reject an answer
+ *     description: Only approved answers are shown to shoppers. The asker is emailed the first time an answer to their question is approved. Requires admin authentication.
+ *     tags:
+ *       - Questions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the product
+ *         example: "507f1f77bcf86cd799439011"
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the question
+ *       - in: path
+ *         name: answerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the answer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, approved, rejected]
+ *     responses:
+ *       200:
+ *         description: Answer moderated
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         description: Unauthorized access, invalid or missing token
+ *       403:
+ *         description: Forbidden, user is not an admin
+ *       404:
+ *         description: Question or answer not found
+ */
+router.put('/:id/questions/:questionId/answers/:answerId/moderation', protect, authorize('admin'), moderateAnswer);
 
 /**
  * @openapi
@@ -634,12 +2011,195 @@ router.get('/:id/reviews', getProductReviews);
  *           description: Date the review was created
  */
 
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     ProductQuestion:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         product:
+ *           type: string
+ *         user:
+ *           type: object
+ *           description: The asker
+ *           properties:
+ *             _id: { type: string }
+ *             firstName: { type: string }
+ *             lastName: { type: string }
+ *             avatar: { type: string }
+ *         question:
+ *           type: string
+ *           example: "Does this charger support PD 3.0?"
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         upvoteCount:
+ *           type: integer
+ *         upvoted:
+ *           type: boolean
+ *           description: Whether the caller has upvoted the question
+ *         answers:
+ *           type: array
+ *           description: Approved answers, most upvoted first
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id: { type: string }
+ *               user:
+ *                 type: object
+ *                 properties:
+ *                   _id: { type: string }
+ *                   firstName: { type: string }
+ *                   lastName: { type: string }
+ *                   avatar: { type: string }
+ *               answer:
+ *                 type: string
+ *                 example: "Yes, it supports USB PD 3.0 up to 65W."
+ *               isAdmin:
+ *                 type: boolean
+ *                 description: Answered by the store team
+ *               isVerifiedBuyer:
+ *                 type: boolean
+ *                 description: Answered by someone who bought the product
+ *               status:
+ *                 type: string
+ *                 enum: [pending, approved, rejected]
+ *               upvoteCount: { type: integer }
+ *               upvoted: { type: boolean }
+ *               createdAt:
+ *                 type: string
+ *                 format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     ProductFacets:
+ *       type: object
+ *       properties:
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               category: { type: string }
+ *               count: { type: integer }
+ *         prices:
+ *           type: array
+ *           description: Price buckets; `max` is null for the open-ended top bucket
+ *           items:
+ *             type: object
+ *             properties:
+ *               min: { type: number }
+ *               max: { type: number, nullable: true }
+ *               count: { type: integer }
+ *         ratings:
+ *           type: array
+ *           description: Products rated at least `minRating`
+ *           items:
+ *             type: object
+ *             properties:
+ *               minRating: { type: number }
+ *               count: { type: integer }
+ */
+
 export const productsRouter = router;
 
 /**
  * @openapi
  * components:
  *   schemas:
+ *     ProductImage:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Image ID, used by the gallery endpoints
+ *         url:
+ *           type: string
+ *           example: "https://res.cloudinary.com/demo/image/upload/technest/products/sample-case.jpg"
+ *         storage:
+ *           type: string
+ *           enum: [cloudinary, local]
+ *           description: Media storage driver holding the file
+ *         publicId:
+ *           type: string
+ *           description: ID of the file in its storage (Cloudinary public_id or path under uploads/)
+ *           example: "technest/products/sample-case"
+ *         alt:
+ *           type: string
+ *           example: "Sample Case"
+ *         width:
+ *           type: integer
+ *           example: 1200
+ *         height:
+ *           type: integer
+ *           example: 1200
+ *         renditions:
+ *           type: array
+ *           description: Resized copies generated at upload (none with local storage)
+ *           items:
+ *             type: object
+ *             properties:
+ *               name: { type: string, enum: [thumbnail, card, zoom], example: "card" }
+ *               format: { type: string, enum: [original, webp] }
+ *               url: { type: string }
+ *               width: { type: integer, example: 400 }
+ *               height: { type: integer, example: 400 }
+ *         srcset:
+ *           $ref: '#/components/schemas/ImageSrcset'
+ *     ProductPricing:
+ *       type: object
+ *       description: What the product (or variant) costs right now
+ *       properties:
+ *         price:
+ *           type: number
+ *           description: Price to pay, with any running sale applied
+ *           example: 14.99
+ *         regularPrice:
+ *           type: number
+ *           example: 19.99
+ *         compareAtPrice:
+ *           type: number
+ *           nullable: true
+ *           description: Price to show struck through, when higher than price
+ *           example: 19.99
+ *         discountPercent:
+ *           type: integer
+ *           example: 25
+ *         onSale:
+ *           type: boolean
+ *         saleEndsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     ImageSrcset:
+ *       type: object
+ *       description: Ready for an img srcset and a WebP picture source. Without renditions only src is set.
+ *       properties:
+ *         src:
+ *           type: string
+ *           description: URL of the original upload
+ *         srcset:
+ *           type: string
+ *           nullable: true
+ *           example: "https://res.cloudinary.com/demo/image/upload/c_fill,h_150,q_auto,w_150/technest/products/sample-case.jpg 150w, https://res.cloudinary.com/demo/image/upload/c_fill,h_400,q_auto,w_400/technest/products/sample-case.jpg 400w"
+ *         webp:
+ *           type: string
+ *           nullable: true
+ *           description: Same sizes as srcset, in WebP
+ *         urls:
+ *           type: object
+ *           description: Rendition URLs by name (thumbnail, card, zoom)
+ *           additionalProperties:
+ *             type: string
  *     Product:
  *       type: object
  *       properties:
@@ -649,27 +2209,125 @@ export const productsRouter = router;
  *         name:
  *           type: string
  *           description: Name of the product (max 100 characters)
- *         images:
+ *         sku:
+ *           type: string
+ *           description: Unique stock keeping unit, used to match CSV imports
+ *         slug:
+ *           type: string
+ *           description: Unique URL slug generated from the name
+ *           example: "sample-case"
+ *         previousSlugs:
  *           type: array
  *           items:
  *             type: string
- *           description: List of image URLs for the product
+ *           description: Earlier slugs that redirect to this product
+ *         metaTitle:
+ *           type: string
+ *           description: SEO title (max 70 characters)
+ *         metaDescription:
+ *           type: string
+ *           description: SEO description (max 160 characters)
+ *         images:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ProductImage'
+ *           description: Product gallery; the first image is the primary one
  *         description:
  *           type: string
  *           description: Description of the product (max 500 characters)
  *         price:
  *           type: number
- *           description: Price of the product
+ *           description: Regular price of the product
+ *         compareAtPrice:
+ *           type: number
+ *           description: '"Was" price shown struck through next to the price'
+ *         status:
+ *           type: string
+ *           enum: [draft, scheduled, published, hidden]
+ *           description: Only published products appear in public listings and lookups
+ *         publishAt:
+ *           type: string
+ *           format: date-time
+ *           description: When a scheduled product goes live
+ *         publishedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the product first went live
+ *         type:
+ *           type: string
+ *           enum: [simple, bundle]
+ *         bundleItems:
+ *           type: array
+ *           description: Components of a bundle. A bundle's stock is how many complete kits the component stock allows.
+ *           items:
+ *             type: object
+ *             properties:
+ *               product: { type: string }
+ *               variant: { type: string }
+ *               quantity: { type: integer, example: 1 }
+ *         salePrices:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id: { type: string }
+ *               price: { type: number, example: 14.99 }
+ *               startsAt: { type: string, format: date-time }
+ *               endsAt: { type: string, format: date-time }
+ *               label: { type: string, example: "Black Friday" }
+ *           description: Scheduled sales; the price applies from startsAt until endsAt
+ *         currentPrice:
+ *           type: number
+ *           description: Price in effect now, used by price filters and sorts (refreshed every minute)
+ *         pricing:
+ *           $ref: '#/components/schemas/ProductPricing'
+ *         displayPricing:
+ *           $ref: '#/components/schemas/DisplayPricing'
  *         rating:
  *           type: number
  *           description: Average rating of the product (0 to 5)
  *         stock:
  *           type: number
- *           description: Available stock quantity
+ *           description: Stock on hand
+ *         reserved:
+ *           type: number
+ *           description: Units held by unpaid checkouts
+ *         availableStock:
+ *           type: number
+ *           description: Units shoppers can still buy (stock minus reserved)
+ *         specs:
+ *           type: object
+ *           additionalProperties: true
+ *           description: 'Typed technical specs keyed by attribute, e.g. {"wattage": 20, "connectivity": "usb-c"}'
+ *         compatibleDevices:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: IDs of the devices the product fits
+ *         options:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name: { type: string, example: "color" }
+ *               values:
+ *                 type: array
+ *                 items: { type: string }
+ *         variants:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ProductVariant'
+ *         archivedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the product was archived; null while it is live
+ *         salesCount:
+ *           type: number
+ *           description: Units sold across completed checkouts (refreshed periodically)
  *         category:
  *           type: string
- *           enum: ['cases', 'screen protectors', 'magsafe', 'cables', 'chargers', 'powerbanks', 'headphones', 'speakers', 'smartwatches', 'tablets', 'laptops', 'accessories']
- *           description: Product category
+ *           description: Slug of the product's category (see /api/categories)
  *         createdAt:
  *           type: string
  *           format: date-time 
@@ -678,4 +2336,35 @@ export const productsRouter = router;
  *           type: string
  *           format: date-time
  *           description: Date the product was last updated
+ *     ProductVariant:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Variant ID, passed as `variantId` to the cart and wishlist
+ *         sku:
+ *           type: string
+ *           example: "CBL-USBC-2M"
+ *         options:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           example: { length: "2m" }
+ *         price:
+ *           type: number
+ *           description: Overrides the product price when set
+ *         pricing:
+ *           $ref: '#/components/schemas/ProductPricing'
+ *         displayPricing:
+ *           $ref: '#/components/schemas/DisplayPricing'
+ *         stock:
+ *           type: number
+ *         reserved:
+ *           type: number
+ *         availableStock:
+ *           type: number
+ *         images:
+ *           type: array
+ *           items:
+ *             type: string
  */
@@ -1,10 +1,12 @@
 import express from 'express'
 import { protect } from '../middleware/auth.js'
+import { resolveCurrency } from '../middleware/currency.js'
 import { addToWishlist, getWishlist, removeFromWishlist } from '../controllers/wishlist.controller.js'
 
 const router = express.Router();
 
 router.use(protect);
+router.use(resolveCurrency);
 
 /**
  * @openapi
@@ -24,6 +26,9 @@ router.use(protect);
  *             properties:
  *               productId:
  *                 type: string
+ *               variantId:
+ *                 type: string
+ *                 description: Optional variant to save
  *     responses:
  *       200:
  *         description: Product added to wishlist
@@ -33,9 +38,12 @@ router.use(protect);
  *       - Wishlist
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CurrencyQuery'
+ *       - $ref: '#/components/parameters/CurrencyHeader'
  *     responses:
  *       200:
- *         description: Wishlist returned
+ *         description: Wishlist returned. Each line has `available` and `unavailableReason` so archived or removed products can be shown as unavailable.
  */
 router.route('/')
     .post(addToWishlist)
@@ -56,6 +64,12 @@ router.route('/')
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: variantId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only remove this variant of the product
  *     responses:
  *       200:
  *         description: Product removed from wishlist
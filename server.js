@@ -7,9 +7,19 @@ import { cartRouter } from './routes/cart.routes.js';
 import { wishlistRouter } from './routes/wishlist.routes.js';
 import { checkoutRouter } from './routes/checkout.routes.js';
 import { adminRouter } from './routes/admin.routes.js';
+import { categoriesRouter } from './routes/categories.routes.js';
+import { devicesRouter } from './routes/devices.routes.js';
+import { currenciesRouter } from './routes/currencies.routes.js';
 import { errorHandler } from './middleware/error.js';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { scheduleJob } from './utils/scheduler.js';
+import { refreshSalesCounts } from './utils/salesStats.js';
+import { refreshRecommendations } from './utils/recommendations.js';
+import { refreshCurrentPrices } from './utils/salePricing.js';
+import { publishScheduledProducts } from './utils/publishing.js';
+import { refreshSuggestionIndex } from './utils/suggestions.js';
+import { refreshSearchVocabulary } from './utils/search.js';
+import { expireStockReservations } from './utils/inventory.js';
+import { UPLOADS_DIR } from './utils/storage/localDriver.js';
 import swaggerUi from "swagger-ui-express";
 import { swaggerSpec } from "./swagger.js";
 
@@ -27,7 +37,7 @@ app.use(cors({
     ],
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Visitor-Id', 'X-Currency']
 }));
 
 // Body parsing middleware
@@ -37,6 +47,15 @@ app.use(express.urlencoded({ extended: true }));
 // Connect to Database
 connectDB();
 
+// Background jobs
+scheduleJob('refresh-sales-counts', 15 * 60 * 1000, refreshSalesCounts);
+scheduleJob('refresh-recommendations', 60 * 60 * 1000, refreshRecommendations);
+scheduleJob('refresh-sale-prices', 60 * 1000, refreshCurrentPrices);
+scheduleJob('publish-scheduled-products', 60 * 1000, publishScheduledProducts);
+scheduleJob('refresh-search-suggestions', 10 * 60 * 1000, refreshSuggestionIndex);
+scheduleJob('refresh-search-vocabulary', 60 * 60 * 1000, refreshSearchVocabulary);
+scheduleJob('expire-stock-reservations', 60 * 1000, expireStockReservations);
+
 // Use routes
 app.use('/api/auth', authRouter);
 app.use('/api/products', productsRouter);
@@ -44,11 +63,12 @@ app.use('/api/cart', cartRouter);
 app.use('/api/wishlist', wishlistRouter);
 app.use('/api/checkout', checkoutRouter);
 app.use('/api/admin', adminRouter);
+app.use('/api/categories', categoriesRouter);
+app.use('/api/devices', devicesRouter);
+app.use('/api/currencies', currenciesRouter);
 
-// Serve static files from uploads directory
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve files stored by the local media storage driver
+app.use('/uploads', express.static(UPLOADS_DIR));
 
 // Error middleware
 app.use(errorHandler);
@@ -0,0 +1,56 @@
+import { findVariant, getAvailableStock } from './pricing.js';
+import { resolvePrice } from './sale.js';
+import { isPublished } from './productQuery.js';
+import { BASE, convertPricing } from './currency.js';
+
+/**
+ * Why a cart or wishlist line can't be bought right now, or null if it can.
+ * `product` is the populated product, which is null once it has been purged.
+ */
+export const getUnavailableReason = (product, variantId, quantity = 1) => {
+  if (!product) return 'removed';
+  if (product.archivedAt) return 'archived';
+  if (!isPublished(product)) return 'unpublished';
+
+  const variant = findVariant(product, variantId);
+  if (variantId && !variant) return 'variant_removed';
+
+  const stock = getAvailableStock(product, variant);
+  if (stock <= 0) return 'out_of_stock';
+  if (stock < quantity) return 'insufficient_stock';
+  return null;
+};
+
+/**
+ * Convert a cart or wishlist with populated products into a plain object
+ * whose lines carry `available`, `unavailableReason`, the current `pricing`
+ * and `displayPricing` in the requested currency. Carts also get a
+ * `displayTotal` of their available lines, as checkout would charge it.
+ */
+export const withAvailability = (doc, currency = BASE) => {
+  const data = doc.toObject();
+  data.products = data.products.map((line) => {
+    const reason = getUnavailableReason(line.product, line.variant, line.quantity);
+    const pricing = line.product
+      ? resolvePrice(line.product, findVariant(line.product, line.variant))
+      : null;
+    return {
+      ...line,
+      available: !reason,
+      unavailableReason: reason,
+      pricing,
+      displayPricing: pricing && convertPricing(pricing, currency)
+    };
+  });
+
+  data.displayCurrency = currency.code;
+  if (data.totalPrice !== undefined) {
+    data.displayTotal = Number(
+      data.products
+        .filter((line) => line.available)
+        .reduce((total, line) => total + line.displayPricing.price * line.quantity, 0)
+        .toFixed(currency.decimals)
+    );
+  }
+  return data;
+};
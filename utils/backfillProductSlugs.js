@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Product from '../models/products.js';
+
+// Give every product created before slugs existed a slug of its own
+const backfillProductSlugs = async () => {
+    await connectDB();
+
+    const products = await Product.find({ slug: { $exists: false } });
+    for (const product of products) {
+        await product.save({ validateBeforeSave: false });
+        console.log(`${product.name} -> ${product.slug}`);
+    }
+
+    await mongoose.disconnect();
+};
+
+backfillProductSlugs();
@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Product from '../models/products.js';
+
+// Mark every product created before publication states existed as published
+const backfillProductStatus = async () => {
+    await connectDB();
+
+    const result = await Product.updateMany(
+        { status: { $exists: false } },
+        [{ $set: { status: 'published', publishedAt: { $ifNull: ['$publishedAt', '$createdAt'] } } }]
+    );
+    console.log(`${result.modifiedCount} products marked as published`);
+
+    await mongoose.disconnect();
+};
+
+backfillProductStatus();
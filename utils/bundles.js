@@ -0,0 +1,22 @@
+import { findVariant, getAvailableStock } from './pricing.js';
+
+/**
+ * How many bundles can be made from the components' stock: the scarcest
+ * component decides. A missing or archived component means none.
+ * `components` maps product IDs to loaded component products.
+ */
+export const getBundleStock = (bundleItems, components) => {
+  if (!bundleItems.length) return 0;
+
+  return Math.min(
+    ...bundleItems.map((item) => {
+      const component = components.get(item.product.toString());
+      if (!component || component.archivedAt) return 0;
+
+      const variant = findVariant(component, item.variant);
+      if (item.variant && !variant) return 0;
+
+      return Math.floor(Math.max(getAvailableStock(component, variant) || 0, 0) / item.quantity);
+    })
+  );
+};
@@ -24,4 +24,12 @@ export const uploadBuffer = (buffer, options = {}) => {
     );
     streamifier.createReadStream(buffer).pipe(uploadStream);
   });
-};
\ No newline at end of file
+};
+
+/**
+ * Delete an uploaded asset by its public_id.
+ * Returns the Cloudinary result (promise).
+ */
+export const destroyAsset = (publicId) => {
+  return cloudinary.uploader.destroy(publicId);
+};
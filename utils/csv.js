@@ -0,0 +1,80 @@
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF or LF)
+ * into an array of objects keyed by the trimmed header row.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  // Drop a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((r) => r.some((value) => value.trim() !== ''));
+  const keys = header.map((key) => key.trim());
+
+  return records.map((record) =>
+    Object.fromEntries(
+      keys.map((key, index) => {
+        const value = (record[index] ?? '').trim();
+        // Undo the formula guard added by toCsv
+        return [key, /^'[=+\-@]/.test(value) ? value.slice(1) : value];
+      })
+    )
+  );
+};
+
+const escapeField = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize objects to CSV using `columns` as the header row and key order.
+ */
+export const toCsv = (columns, records) => {
+  const lines = [columns.map(escapeField).join(',')];
+  records.forEach((record) => {
+    lines.push(columns.map((column) => escapeField(record[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
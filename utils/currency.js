@@ -0,0 +1,125 @@
+import Currency from '../models/currency.js';
+
+// Currency every price is stored and reported in
+export const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'NGN').toUpperCase();
+
+// Request header selecting the display currency (the `currency` query parameter wins)
+export const CURRENCY_HEADER = 'x-currency';
+
+// The base currency as a currency record: no conversion, always chargeable
+export const BASE = Object.freeze({
+  code: BASE_CURRENCY,
+  rate: 1,
+  decimals: 2,
+  roundingIncrement: 0,
+  roundingMode: 'nearest',
+  chargeable: true
+});
+
+// How long loaded exchange rates are reused before being read again
+const RATES_TTL = 60 * 1000; // 1 minute
+
+let currencies = null;
+let currenciesLoadedAt = 0;
+
+const ROUNDING = { nearest: Math.round, up: Math.ceil, down: Math.floor };
+
+/**
+ * Active currencies by code, cached briefly since every priced request needs them.
+ */
+const getCurrencies = async () => {
+  if (currencies && Date.now() - currenciesLoadedAt < RATES_TTL) {
+    return currencies;
+  }
+
+  const list = await Currency.find({ active: true }).lean();
+  currencies = new Map(list.map((currency) => [currency.code, currency]));
+  currenciesLoadedAt = Date.now();
+  return currencies;
+};
+
+/**
+ * Force the rates to be reloaded on the next request.
+ * Call after currencies are created, updated or removed.
+ */
+export const invalidateCurrencies = () => {
+  currencies = null;
+};
+
+/**
+ * Look up an active currency by code, or null if it is not offered.
+ */
+export const findCurrency = async (code) => {
+  const normalized = String(code).trim().toUpperCase();
+  if (normalized === BASE_CURRENCY) return BASE;
+  return (await getCurrencies()).get(normalized) || null;
+};
+
+/**
+ * Convert a base-currency amount and apply the currency's rounding rules.
+ */
+export const convertAmount = (amount, currency) => {
+  if (amount === undefined || amount === null) return amount;
+
+  const step = currency.roundingIncrement || 1 / 10 ** currency.decimals;
+  // toFixed trims float noise first so 19.999999999 doesn't round down a step
+  const steps = ROUNDING[currency.roundingMode || 'nearest'](
+    Number(((amount * currency.rate) / step).toFixed(6))
+  );
+  return Number((steps * step).toFixed(currency.decimals));
+};
+
+/**
+ * The display side of a `pricing` object (see utils/sale.js) in another currency.
+ */
+export const convertPricing = (pricing, currency) => ({
+  currency: currency.code,
+  price: convertAmount(pricing.price, currency),
+  regularPrice: convertAmount(pricing.regularPrice, currency),
+  compareAtPrice: convertAmount(pricing.compareAtPrice, currency)
+});
+
+/**
+ * Product JSON with `displayPricing` on the product and each variant.
+ * Stored prices stay in the base currency.
+ */
+export const localizeProduct = (product, currency) => {
+  const data = typeof product.toJSON === 'function' ? product.toJSON() : product;
+  if (!data.pricing) return data;
+
+  return {
+    ...data,
+    displayPricing: convertPricing(data.pricing, currency),
+    variants: (data.variants || []).map((variant) => ({
+      ...variant,
+      displayPricing: variant.pricing && convertPricing(variant.pricing, currency)
+    }))
+  };
+};
+
+/**
+ * Checkout JSON with `displayCurrency`, `displayTotal` and each item's
+ * `displayPrice`. In the currency that was charged these are the charged
+ * amounts; in any other they are converted at today's rate.
+ */
+export const localizeCheckout = (checkout, currency) => {
+  const data = typeof checkout.toObject === 'function' ? checkout.toObject() : checkout;
+  const charged = (data.currency || BASE_CURRENCY) === currency.code;
+
+  const items = (data.items || []).map((item) => ({
+    ...item,
+    displayPrice: charged && item.chargedPrice !== undefined
+      ? item.chargedPrice
+      : convertAmount(item.price, currency)
+  }));
+
+  const displayTotal = charged && data.chargedTotal !== undefined
+    ? data.chargedTotal
+    : Number(
+      items
+        .reduce((total, item) => total + item.displayPrice * item.quantity, 0)
+        .toFixed(currency.decimals)
+    );
+
+  return { ...data, items, displayCurrency: currency.code, displayTotal };
+};
@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+
+// Tag values so dates and ObjectIds survive the JSON round trip
+const encodeValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+  return { v: value ?? null };
+};
+
+// Largest page a listing returns, whatever `limit` asks for
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Read `page` and `limit` query values: whole numbers of at least 1, the
+ * limit capped at MAX_PAGE_SIZE and `defaultLimit` when missing or invalid.
+ */
+export const parsePagination = (query, defaultLimit = 10) => ({
+  page: Math.max(parseInt(query.page, 10) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), MAX_PAGE_SIZE)
+});
+
+const invalidCursor = () => {
+  const error = new Error('Invalid cursor');
+  error.statusCode = 400;
+  return error;
+};
+
+const decodeValue = (value) => {
+  if (!value || typeof value !== 'object') throw invalidCursor();
+  if ('o' in value) return new mongoose.Types.ObjectId(value.o);
+  if ('v' in value) return value.v;
+  if ('d' in value) {
+    const date = new Date(value.d);
+    if (Number.isNaN(date.getTime())) throw invalidCursor();
+    return date;
+  }
+  throw invalidCursor();
+};
+
+/**
+ * Whether the request asked for cursor pagination, either explicitly
+ * (?pagination=cursor) or by passing a cursor from a previous page.
+ */
+export const isCursorRequest = (query) => {
+  return query.pagination === 'cursor' || Boolean(query.cursor);
+};
+
+/**
+ * Build an opaque cursor pointing just after `doc` in the given sort order.
+ */
+export const encodeCursor = (doc, sort) => {
+  const payload = {
+    k: Object.keys(sort),
+    v: Object.keys(sort).map((key) => encodeValue(doc.get ? doc.get(key) : doc[key]))
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Turn a cursor back into a filter selecting the documents that come
+ * after it in the given sort order. Throws a 400 error if the cursor is
+ * malformed or was issued for a different sort.
+ */
+export const buildCursorFilter = (cursor, sort) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch (error) {
+    throw invalidCursor();
+  }
+
+  const keys = Object.keys(sort);
+  if (
+    !payload ||
+    !Array.isArray(payload.k) ||
+    !Array.isArray(payload.v) ||
+    payload.k.join() !== keys.join() ||
+    payload.v.length !== keys.length
+  ) {
+    throw invalidCursor();
+  }
+
+  let values;
+  try {
+    values = payload.v.map(decodeValue);
+  } catch (error) {
+    throw invalidCursor();
+  }
+
+  // (a > x) OR (a = x AND b > y) OR ... for each sort key in turn
+  return {
+    $or: keys.map((key, index) => {
+      const clause = {};
+      keys.slice(0, index).forEach((prev, i) => {
+        clause[prev] = values[i];
+      });
+      clause[key] = { [sort[key] === -1 ? '$lt' : '$gt']: values[index] };
+      return clause;
+    })
+  };
+};
+
+/**
+ * Fetch one page of `limit` documents after `cursor`.
+ * `find` receives the extra cursor filter and the fetch size and must
+ * return the documents in `sort` order.
+ */
+export const paginateWithCursor = async ({ query, sort, cursor, limit, find }) => {
+  const filter = cursor
+    ? { ...query, $and: [...(query.$and || []), buildCursorFilter(cursor, sort)] }
+    : query;
+
+  const docs = await find(filter, limit + 1);
+  const hasMore = docs.length > limit;
+  const data = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    data,
+    pagination: {
+      nextCursor: hasMore ? encodeCursor(data[data.length - 1], sort) : null,
+      hasMore,
+      itemsPerPage: limit
+    }
+  };
+};
@@ -0,0 +1,65 @@
+// Read the pixel size from an image's header without decoding it.
+// Supports the types accepted by the upload middleware: JPEG, PNG and WebP.
+
+const readPng = (buffer) => {
+  if (buffer.length < 24 || buffer.toString('ascii', 1, 4) !== 'PNG') return null;
+  return { type: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+};
+
+const readJpeg = (buffer) => {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    // Start-of-frame markers hold the dimensions (C4, C8 and CC are not frames)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return {
+        type: 'jpg',
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7)
+      };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+};
+
+const readWebp = (buffer) => {
+  if (
+    buffer.length < 30 ||
+    buffer.toString('ascii', 0, 4) !== 'RIFF' ||
+    buffer.toString('ascii', 8, 12) !== 'WEBP'
+  ) {
+    return null;
+  }
+
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    return {
+      type: 'webp',
+      width: buffer.readUInt16LE(26) & 0x3fff,
+      height: buffer.readUInt16LE(28) & 0x3fff
+    };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return { type: 'webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return {
+      type: 'webp',
+      width: buffer.readUIntLE(24, 3) + 1,
+      height: buffer.readUIntLE(27, 3) + 1
+    };
+  }
+  return null;
+};
+
+/**
+ * Returns { type, width, height }, or null if the format isn't recognised.
+ */
+export const getImageSize = (buffer) => {
+  return readPng(buffer) || readJpeg(buffer) || readWebp(buffer);
+};
@@ -0,0 +1,422 @@
+import mongoose from 'mongoose';
+import Checkout from '../models/checkout.js';
+import Product from '../models/products.js';
+import InventoryMovement from '../models/inventoryMovement.js';
+
+// How long an unpaid checkout holds its items (STOCK_RESERVATION_TTL_MINUTES, default 15)
+export const getReservationTtl = () =>
+  (parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES, 10) || 15) * 60 * 1000;
+
+// `field` changed by `delta`, never below zero
+const shift = (field, delta) => ({
+  $max: [0, { $add: [{ $ifNull: [field, 0] }, delta] }]
+});
+
+// On-hand units of a product, or of one of its variants
+const onHand = (product, variantId) => {
+  if (!variantId) return product.stock || 0;
+  const variant = product.variants.find((v) => v._id.toString() === variantId.toString());
+  return variant?.stock || 0;
+};
+
+// Units of a product (or of the given variant ID) on hand and not reserved,
+// as an aggregation expression
+const availableUnits = (variant) => {
+  if (!variant) return { $subtract: ['$stock', { $ifNull: ['$reserved', 0] }] };
+  return {
+    $let: {
+      vars: {
+        v: { $first: { $filter: { input: '$variants', cond: { $eq: ['$$this._id', variant] } } } }
+      },
+      in: { $subtract: ['$$v.stock', { $ifNull: ['$$v.reserved', 0] }] }
+    }
+  };
+};
+
+/**
+ * Change the on-hand `stock` and/or `reserved` count of a product (or one of
+ * its variants) by the given deltas, never going below zero. Variant counts
+ * are changed and the product totals re-summed in the same update. With
+ * `keepReserved`, stock is only taken if that leaves the reserved units on hand.
+ * Returns the on-hand units `{ before, after }`, or null if the product is gone
+ * (or, with `keepReserved`, too few units are available).
+ */
+const changeStock = async (productId, variantId, { stock = 0, reserved = 0 }, { keepReserved = false } = {}) => {
+  const options = { new: false, projection: { stock: 1, 'variants._id': 1, 'variants.stock': 1 } };
+  const variant = variantId ? new mongoose.Types.ObjectId(String(variantId)) : null;
+  const filter = { _id: productId };
+  if (keepReserved) filter.$expr = { $gte: [{ $add: [availableUnits(variant), stock - reserved] }, 0] };
+  let previous;
+
+  if (!variant) {
+    previous = await Product.findOneAndUpdate(filter, [
+      { $set: { stock: shift('$stock', stock), reserved: shift('$reserved', reserved) } }
+    ], options).lean();
+  } else {
+    previous = await Product.findOneAndUpdate(filter, [
+      {
+        $set: {
+          variants: {
+            $map: {
+              input: '$variants',
+              as: 'v',
+              in: {
+                $cond: [
+                  { $eq: ['$$v._id', variant] },
+                  {
+                    $mergeObjects: [
+                      '$$v',
+                      { stock: shift('$$v.stock', stock), reserved: shift('$$v.reserved', reserved) }
+                    ]
+                  },
+                  '$$v'
+                ]
+              }
+            }
+          }
+        }
+      },
+      { $set: { stock: { $sum: '$variants.stock' }, reserved: { $sum: '$variants.reserved' } } }
+    ], options).lean();
+  }
+
+  if (!previous) return null;
+  const before = onHand(previous, variantId);
+  return { before, after: Math.max(0, before + stock) };
+};
+
+/**
+ * Move on-hand stock of a product (or variant) by `quantity` (positive in,
+ * negative out, never below zero) and record the movement in the inventory
+ * ledger with the units actually moved and the resulting balance.
+ * `reserved` also changes the reserved count in the same update, and
+ * `keepReserved` refuses to take units that unpaid checkouts hold.
+ * The movement is validated before any stock moves, so an invalid reason or
+ * reference rejects with a ValidationError and leaves stock as it was.
+ * Returns the movement, or null if the product no longer exists (or, with
+ * `keepReserved`, too few units are available).
+ */
+export const moveStock = async ({ product, variant, type, quantity, reserved = 0, keepReserved = false, reason, reference, checkout, actor }) => {
+  const movement = new InventoryMovement({
+    product,
+    variant: variant || undefined,
+    type,
+    quantity,
+    balance: 0,
+    reason,
+    reference,
+    checkout,
+    actor
+  });
+  await movement.validate();
+
+  const change = await changeStock(product, variant, { stock: quantity, reserved }, { keepReserved });
+  if (!change) return null;
+
+  movement.quantity = change.after - change.before;
+  movement.balance = change.after;
+  return movement.save({ validateBeforeSave: false });
+};
+
+// On-hand units per variant ID (or '' for a product without variants);
+// bundles have no stock of their own
+const stockLevels = (product) => {
+  if (!product || product.type === 'bundle') return new Map();
+  if (product.variants?.length) {
+    return new Map(product.variants.map((variant) => [variant._id.toString(), variant.stock || 0]));
+  }
+  return new Map([['', product.stock || 0]]);
+};
+
+/**
+ * Record the stock changes made by saving a product (admin edit, import,
+ * rollback) as adjustments. `before` is the product's revision snapshot
+ * before the save, or null for a new product.
+ */
+export const recordStockEdits = async ({ before, product, actor, reason }) => {
+  const from = stockLevels(before);
+  const to = stockLevels(product);
+
+  const movements = [...new Set([...from.keys(), ...to.keys()])]
+    .map((key) => ({ key, quantity: (to.get(key) || 0) - (from.get(key) || 0) }))
+    .filter(({ quantity }) => quantity !== 0)
+    .map(({ key, quantity }) => ({
+      product: product._id,
+      variant: key || undefined,
+      type: 'adjustment',
+      quantity,
+      balance: to.get(key) || 0,
+      reason,
+      actor
+    }));
+
+  if (movements.length) await InventoryMovement.insertMany(movements);
+};
+
+export const STOCK_EDIT_ERROR =
+  'Stock cannot be set here; post a restock, return, damage or adjustment to /api/admin/products/:id/inventory/adjustments';
+
+/**
+ * On-hand stock only moves through sales and inventory adjustments, so edits
+ * and imports of an existing product keep it: `fields.stock` is dropped and
+ * each variant in `fields.variants` gets its current stock (none for new
+ * variants). Returns whether the fields try to change stock; sending back
+ * the current value is fine.
+ */
+export const keepOnHandStock = (product, fields) => {
+  const changesProduct = fields.stock !== undefined && Number(fields.stock) !== product.stock;
+  delete fields.stock;
+  if (changesProduct) return true;
+  if (!Array.isArray(fields.variants)) return false;
+
+  const current = new Map(product.variants.map((variant) => [variant._id.toString(), variant.stock]));
+  let changed = false;
+  fields.variants = fields.variants.map((variant) => {
+    const stock = (variant._id && current.get(String(variant._id))) || 0;
+    if (variant.stock !== undefined && Number(variant.stock) !== stock) changed = true;
+    return { ...variant, stock };
+  });
+  return changed;
+};
+
+/**
+ * Hold `quantity` units for a checkout if that many are available (on hand
+ * and not already reserved). The check and the hold are one atomic update,
+ * so concurrent checkouts can't both take the last unit. Returns whether
+ * the units were reserved.
+ */
+export const reserveStock = async (productId, variantId, quantity) => {
+  if (!variantId) {
+    const result = await Product.updateOne(
+      { _id: productId, $expr: { $gte: [availableUnits(null), quantity] } },
+      { $inc: { reserved: quantity } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const variant = new mongoose.Types.ObjectId(String(variantId));
+  const result = await Product.updateOne(
+    {
+      _id: productId,
+      variants: { $elemMatch: { _id: variant } },
+      $expr: { $gte: [availableUnits(variant), quantity] }
+    },
+    { $inc: { 'variants.$.reserved': quantity, reserved: quantity } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Give reserved units back, making them available again.
+ */
+export const releaseStock = (productId, variantId, quantity) =>
+  changeStock(productId, variantId, { reserved: -quantity });
+
+/**
+ * The stock movements a checkout item stands for: its own product, or
+ * each component of a bundle multiplied by the number of bundles.
+ */
+export const getStockLines = (item) => {
+  if (item.bundleItems?.length) {
+    return item.bundleItems.map((component) => ({
+      product: component.product,
+      variant: component.variant,
+      quantity: component.quantity * item.quantity
+    }));
+  }
+  return [{ product: item.product, variant: item.variant, quantity: item.quantity }];
+};
+
+/**
+ * A checkout's stock lines with repeats (a product bought on its own and
+ * inside a bundle) merged, so each product or variant is checked once.
+ */
+const mergeStockLines = (items) => {
+  const merged = new Map();
+  items.flatMap(getStockLines).forEach((line) => {
+    const key = `${line.product}:${line.variant || ''}`;
+    const existing = merged.get(key);
+    if (existing) existing.quantity += line.quantity;
+    else merged.set(key, { ...line });
+  });
+  return [...merged.values()];
+};
+
+/**
+ * Reserve everything a checkout's items need, or nothing: if one line is
+ * short, the lines already reserved are released again. Returns
+ * `{ reserved: true }` or `{ reserved: false, line }` with the short line.
+ */
+export const reserveCheckoutStock = async (items) => {
+  const lines = mergeStockLines(items);
+  const held = [];
+
+  for (const line of lines) {
+    if (!(await reserveStock(line.product, line.variant, line.quantity))) {
+      for (const done of held) {
+        await releaseStock(done.product, done.variant, done.quantity);
+      }
+      await Product.refreshBundleStock(held.map((done) => done.product));
+      return { reserved: false, line };
+    }
+    held.push(line);
+  }
+
+  // Bundles built from these products now have fewer units available
+  await Product.refreshBundleStock(lines.map((line) => line.product));
+  return { reserved: true };
+};
+
+/**
+ * Give back everything reserved for a checkout's items.
+ */
+export const releaseReservedItems = async (items) => {
+  const lines = mergeStockLines(items);
+  for (const line of lines) {
+    await releaseStock(line.product, line.variant, line.quantity);
+  }
+  await Product.refreshBundleStock(lines.map((line) => line.product));
+};
+
+/**
+ * Release a checkout's reservation. Does nothing if it was already released,
+ * committed or never made, so it is safe to call on cancel, failure and expiry.
+ * Returns the released checkout, or null.
+ */
+export const releaseCheckoutStock = async (checkoutId) => {
+  const checkout = await Checkout.findOneAndUpdate(
+    {
+      _id: checkoutId,
+      stockReservedUntil: { $ne: null },
+      stockReleasedAt: null,
+      stockCommittedAt: null
+    },
+    { $set: { stockReleasedAt: new Date() } },
+    { new: true }
+  );
+  if (!checkout) return null;
+
+  await releaseReservedItems(checkout.items);
+  return checkout;
+};
+
+/**
+ * Reduce inventory for a paid checkout, turning its reservation into a stock
+ * decrement. Runs once per checkout even if both the payment callback and the
+ * webhook report the payment. A checkout paid after its reservation expired
+ * still takes its items out of stock.
+ */
+export const commitCheckoutStock = async (checkoutId) => {
+  const checkout = await Checkout.findOneAndUpdate(
+    { _id: checkoutId, stockCommittedAt: null },
+    { $set: { stockCommittedAt: new Date() } },
+    { new: true }
+  );
+  if (!checkout) return;
+
+  const held = checkout.stockReservedUntil && !checkout.stockReleasedAt;
+  const lines = mergeStockLines(checkout.items);
+  for (const line of lines) {
+    await moveStock({
+      product: line.product,
+      variant: line.variant,
+      type: 'sale',
+      quantity: -line.quantity,
+      reserved: held ? -line.quantity : 0,
+      reason: 'Order paid',
+      reference: checkout.paymentReference,
+      checkout: checkout._id,
+      actor: checkout.user
+    });
+  }
+
+  // Bundles built from these products now have fewer units too
+  await Product.refreshBundleStock(lines.map((line) => line.product));
+};
+
+/**
+ * Cancel the unpaid checkouts matching `filter` that still hold stock and
+ * release their reservations. A payment that still arrives later completes
+ * the checkout as usual.
+ */
+export const cancelUnpaidCheckouts = async (filter) => {
+  const checkouts = await Checkout.find(
+    {
+      ...filter,
+      status: 'pending',
+      stockReservedUntil: { $ne: null, ...filter.stockReservedUntil },
+      stockReleasedAt: null,
+      stockCommittedAt: null
+    },
+    '_id'
+  );
+
+  for (const { _id } of checkouts) {
+    await releaseCheckoutStock(_id);
+    await Checkout.updateOne({ _id, status: 'pending' }, { $set: { status: 'cancelled' } });
+  }
+};
+
+/**
+ * Release the holds of a user's unpaid checkouts without cancelling them, so
+ * a new checkout can take the same items. Returns the released checkouts, to
+ * be cancelled once the new checkout exists or restored if it fails.
+ */
+export const suspendUnpaidHolds = async (userId) => {
+  const checkouts = await Checkout.find(
+    {
+      user: userId,
+      status: 'pending',
+      stockReservedUntil: { $ne: null },
+      stockReleasedAt: null,
+      stockCommittedAt: null
+    },
+    '_id'
+  );
+
+  const suspended = [];
+  for (const { _id } of checkouts) {
+    const checkout = await releaseCheckoutStock(_id);
+    if (checkout) suspended.push(checkout);
+  }
+  return suspended;
+};
+
+/**
+ * Put back holds released by suspendUnpaidHolds. A checkout whose items were
+ * taken meanwhile stays without a hold but can still be paid; one paid or
+ * cancelled meanwhile gets nothing back.
+ */
+export const restoreUnpaidHolds = async (checkouts) => {
+  for (const checkout of checkouts) {
+    const reservation = await reserveCheckoutStock(checkout.items);
+    if (!reservation.reserved) continue;
+
+    const restored = await Checkout.updateOne(
+      {
+        _id: checkout._id,
+        status: 'pending',
+        stockReleasedAt: checkout.stockReleasedAt,
+        stockCommittedAt: null
+      },
+      { $set: { stockReleasedAt: null } }
+    );
+    if (restored.modifiedCount !== 1) await releaseReservedItems(checkout.items);
+  }
+};
+
+/**
+ * Cancel the checkouts suspendUnpaidHolds released, now that a new checkout
+ * replaces them. A payment that still arrives completes the checkout as usual.
+ */
+export const cancelSuspendedCheckouts = (checkouts) =>
+  Checkout.updateMany(
+    { _id: { $in: checkouts.map((checkout) => checkout._id) }, status: 'pending' },
+    { $set: { status: 'cancelled' } }
+  );
+
+/**
+ * Cancel unpaid checkouts past their hold time. Run periodically by the scheduler.
+ */
+export const expireStockReservations = () =>
+  cancelUnpaidCheckouts({ stockReservedUntil: { $lte: new Date() } });
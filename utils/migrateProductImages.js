@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Product from '../models/products.js';
+
+// Turn galleries stored as plain URL strings into image records
+const migrateProductImages = async () => {
+    await connectDB();
+
+    // Work on the raw documents: the schema can no longer load string images
+    const products = await Product.collection
+        .find({ images: { $elemMatch: { $type: 'string' } } }, { projection: { name: 1, images: 1 } })
+        .toArray();
+
+    for (const product of products) {
+        const images = product.images.map((image) =>
+            typeof image === 'string'
+                ? { _id: new mongoose.Types.ObjectId(), url: image, alt: product.name }
+                : image
+        );
+        await Product.collection.updateOne({ _id: product._id }, { $set: { images } });
+        console.log(`${product.name}: ${images.length} image(s)`);
+    }
+
+    await mongoose.disconnect();
+};
+
+migrateProductImages();
@@ -0,0 +1,48 @@
+import Product from '../models/products.js';
+import { resolvePrice } from './sale.js';
+import { isPublished } from './productQuery.js';
+
+/**
+ * Look up the selected variant of a product.
+ * Returns null when the product has no variants or the id is unknown.
+ */
+export const findVariant = (product, variantId) => {
+  if (!variantId || !product.variants?.length) return null;
+  return product.variants.find((v) => v._id.toString() === variantId.toString()) || null;
+};
+
+/**
+ * Price of one unit of a product right now, using the variant price
+ * override when set and any running sale.
+ */
+export const getUnitPrice = (product, variant, now = new Date()) => {
+  return resolvePrice(product, variant, now).price;
+};
+
+/**
+ * Stock available for a product, or for the selected variant: what is on
+ * hand minus what unpaid checkouts have reserved.
+ */
+export const getAvailableStock = (product, variant) => {
+  const { stock, reserved } = variant || product;
+  return stock - (reserved || 0);
+};
+
+/**
+ * Sum the price of every line in a cart, loading the current product data.
+ * Lines whose product was archived, unpublished or no longer exists count as zero.
+ */
+export const calculateCartTotal = async (lines) => {
+  const products = await Product.find({
+    _id: { $in: lines.map((line) => line.product._id || line.product) }
+  });
+
+  return lines.reduce((total, line) => {
+    const productId = (line.product._id || line.product).toString();
+    const product = products.find((p) => p._id.toString() === productId);
+    if (!product || product.archivedAt || !isPublished(product)) return total;
+
+    const variant = findVariant(product, line.variant);
+    return total + getUnitPrice(product, variant) * line.quantity;
+  }, 0);
+};
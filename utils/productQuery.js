@@ -0,0 +1,214 @@
+import Product from '../models/products.js';
+import Category from '../models/category.js';
+import Device from '../models/device.js';
+import { ATTRIBUTE_KEY, RANGE_SUFFIX } from './specs.js';
+
+// Matches products shoppers can see: published and not archived. Products
+// without a status predate publication states and count as published
+export const ACTIVE_PRODUCT = { archivedAt: null, status: { $in: ['published', null] } };
+
+/**
+ * Whether shoppers can see a loaded product (archived ones stay viewable
+ * by ID so order history still resolves them).
+ */
+export const isPublished = (product) => product.status === 'published' || product.status == null;
+
+// Upper bounds of the price buckets reported in listing facets
+export const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
+
+// Minimum ratings reported as "N stars & up" in listing facets
+export const RATING_BANDS = [4, 3, 2, 1];
+
+// Listing sort options; `_id` breaks ties so pages never overlap or skip items
+export const PRODUCT_SORTS = {
+  price_asc: { currentPrice: 1, _id: 1 },
+  price_desc: { currentPrice: -1, _id: 1 },
+  newest: { createdAt: -1, _id: -1 },
+  rating: { rating: -1, numReviews: -1, _id: 1 },
+  best_selling: { salesCount: -1, _id: 1 }
+};
+
+/**
+ * Read a query value that may be repeated (?category=a&category=b)
+ * or comma separated (?category=a,b) into an array of strings.
+ */
+export const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap((v) => String(v).split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Build the Mongo filters for a product listing from the request query.
+ * Each facetable filter is kept separately so facet counts can be
+ * computed with every filter except their own.
+ */
+export const buildProductFilters = async (query) => {
+  const filters = {};
+
+  // A parent category also matches everything nested below it
+  const categories = await Category.expandSlugs(
+    toList(query.category).map((slug) => slug.toLowerCase())
+  );
+  if (categories.length) {
+    filters.category = { category: { $in: categories } };
+  }
+
+  // Prices filter on what products cost now, including running sales
+  const minPrice = toNumber(query.minPrice);
+  const maxPrice = toNumber(query.maxPrice);
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filters.price = { currentPrice: {} };
+    if (minPrice !== undefined) filters.price.currentPrice.$gte = minPrice;
+    if (maxPrice !== undefined) filters.price.currentPrice.$lte = maxPrice;
+  }
+
+  const minRating = toNumber(query.minRating);
+  if (minRating !== undefined) {
+    filters.rating = { rating: { $gte: minRating } };
+  }
+
+  // In stock means some units are not held by unpaid checkouts
+  if (query.inStock === 'true') {
+    filters.stock = { $expr: { $gt: ['$stock', { $ifNull: ['$reserved', 0] }] } };
+  }
+
+  // Accessories that fit a device, given by ID or slug; an unknown device matches nothing
+  if (query.device) {
+    const device = await Device.findByIdOrSlug(query.device);
+    filters.device = {
+      compatibleDevices: device ? device._id : { $in: [] }
+    };
+  }
+
+  Object.assign(filters, buildAttributeFilters(query));
+
+  return filters;
+};
+
+// Equality candidates for an attribute value whose type we don't know here
+const specCandidates = (value) => {
+  const candidates = [value];
+  if (value !== '' && Number.isFinite(Number(value))) candidates.push(Number(value));
+  if (value === 'true' || value === 'false') candidates.push(value === 'true');
+  return candidates;
+};
+
+/**
+ * Spec filters from `attr.<key>` query parameters:
+ * `attr.connectivity=bluetooth,wired` matches any listed value and
+ * `attr.wattage_gte=20` (also _gt, _lte, _lt) compares numbers.
+ */
+export const buildAttributeFilters = (query) => {
+  const conditions = {};
+
+  Object.entries(query).forEach(([param, value]) => {
+    if (!param.startsWith('attr.')) return;
+
+    // Attribute keys never end in a range suffix, so a trailing one is always the operator
+    const name = param.slice(5);
+    const op = name.match(RANGE_SUFFIX)?.[1];
+    const key = op ? name.slice(0, -(op.length + 1)) : name;
+    if (!key || !ATTRIBUTE_KEY.test(key)) return;
+
+    const path = `specs.${key}`;
+    conditions[path] = conditions[path] || {};
+
+    if (op) {
+      const number = toNumber(Array.isArray(value) ? value[0] : value);
+      if (number !== undefined) conditions[path][`$${op}`] = number;
+    } else {
+      const values = toList(value);
+      if (values.length) conditions[path].$in = values.flatMap(specCandidates);
+    }
+  });
+
+  return Object.fromEntries(
+    Object.entries(conditions)
+      .filter(([, condition]) => Object.keys(condition).length)
+      .map(([path, condition]) => [path, { [path]: condition }])
+  );
+};
+
+/**
+ * Merge a base match with the given filters, skipping one of them.
+ */
+export const combineFilters = (base, filters, except) => {
+  return Object.entries(filters).reduce(
+    (match, [key, filter]) => (key === except ? match : { ...match, ...filter }),
+    { ...base }
+  );
+};
+
+/**
+ * Count products per category, price bucket and rating band.
+ * `base` must hold any `$text` clause since it has to run first in the pipeline.
+ */
+export const getProductFacets = async (base, filters) => {
+  const [result] = await Product.aggregate([
+    { $match: base },
+    {
+      $facet: {
+        categories: [
+          { $match: combineFilters({}, filters, 'category') },
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        prices: [
+          { $match: combineFilters({}, filters, 'price') },
+          {
+            $bucket: {
+              groupBy: '$currentPrice',
+              boundaries: [...PRICE_BUCKETS, Infinity],
+              default: 'other',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ],
+        ratings: [
+          { $match: combineFilters({}, filters, 'rating') },
+          {
+            $group: {
+              _id: null,
+              ...Object.fromEntries(
+                RATING_BANDS.map((band) => [
+                  `band${band}`,
+                  { $sum: { $cond: [{ $gte: ['$rating', band] }, 1, 0] } }
+                ])
+              )
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const ratingCounts = result.ratings[0] || {};
+
+  return {
+    categories: result.categories.map((c) => ({ category: c._id, count: c.count })),
+    prices: result.prices
+      .filter((bucket) => bucket._id !== 'other')
+      .map((bucket) => {
+        const index = PRICE_BUCKETS.indexOf(bucket._id);
+        return {
+          min: bucket._id,
+          max: PRICE_BUCKETS[index + 1] ?? null,
+          count: bucket.count
+        };
+      }),
+    ratings: RATING_BANDS.map((band) => ({
+      minRating: band,
+      count: ratingCounts[`band${band}`] || 0
+    }))
+  };
+};
@@ -0,0 +1,21 @@
+import Product from '../models/products.js';
+import { addToSearchVocabulary } from './search.js';
+
+/**
+ * Publish scheduled products whose publish time has passed.
+ */
+export const publishScheduledProducts = async () => {
+  const now = new Date();
+
+  const due = await Product.find(
+    { status: 'scheduled', publishAt: { $lte: now } },
+    'name description'
+  ).lean();
+  if (!due.length) return;
+
+  await Product.updateMany(
+    { _id: { $in: due.map((product) => product._id) }, status: 'scheduled' },
+    [{ $set: { status: 'published', publishedAt: { $ifNull: ['$publishedAt', now] } } }]
+  );
+  addToSearchVocabulary(...due);
+};
@@ -0,0 +1,46 @@
+import Checkout from '../models/checkout.js';
+import { sendEmail } from './email.js';
+
+const escapeHtml = (text = '') =>
+  String(text).replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
+
+/**
+ * Whether the user has a completed checkout containing the product,
+ * on its own or as part of a bundle.
+ */
+export const isVerifiedBuyer = async (userId, productId) => {
+  const purchase = await Checkout.exists({
+    user: userId,
+    status: 'completed',
+    $or: [{ 'items.product': productId }, { 'items.bundleItems.product': productId }]
+  });
+  return Boolean(purchase);
+};
+
+/**
+ * Email the asker that their question has a visible answer. Answers the
+ * asker wrote themselves are not sent.
+ */
+export const notifyAsker = async ({ asker, question, answer, product }) => {
+  if (!asker.email || asker._id.equals(answer.user)) return false;
+
+  const productUrl = `${process.env.FRONTEND_URL}/products/${product.slug || product._id}`;
+
+  return sendEmail({
+    email: asker.email,
+    subject: `Your question about ${product.name} has been answered`,
+    html: `
+      <h1>Your question has a new answer</h1>
+      <p><strong>${escapeHtml(product.name)}</strong></p>
+      <p>You asked: ${escapeHtml(question.question)}</p>
+      <p>Answer${answer.isAdmin ? ' from our team' : answer.isVerifiedBuyer ? ' from a verified buyer' : ''}: ${escapeHtml(answer.answer)}</p>
+      <a href="${productUrl}">${productUrl}</a>
+    `
+  });
+};
@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+import RecentlyViewed from '../models/recentlyViewed.js';
+
+// Products kept per history
+export const RECENTLY_VIEWED_LIMIT = 20;
+
+// Anonymous histories expire this long after the last view
+const VISITOR_HISTORY_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Header carrying the anonymous visitor ID generated by the client
+export const VISITOR_HEADER = 'x-visitor-id';
+const VISITOR_ID = /^[A-Za-z0-9_-]{8,64}$/;
+
+/**
+ * The anonymous visitor ID sent with the request, if it is well-formed.
+ */
+export const getVisitorId = (req) => {
+  const visitorId = req.headers[VISITOR_HEADER];
+  return typeof visitorId === 'string' && VISITOR_ID.test(visitorId) ? visitorId : null;
+};
+
+/**
+ * Whose history a request reads and writes: the logged-in user, otherwise
+ * the anonymous visitor, otherwise nobody.
+ */
+export const getHistoryOwner = (req) => {
+  if (req.user) return { user: req.user._id };
+  const visitorId = getVisitorId(req);
+  return visitorId ? { visitorId } : null;
+};
+
+/**
+ * Move a product to the front of a history, dropping its earlier entry and
+ * anything past the limit. One update, so concurrent views of the same
+ * product can't both add an entry.
+ */
+export const recordView = async (owner, productId) => {
+  const viewedAt = new Date();
+  const product = new mongoose.Types.ObjectId(String(productId));
+
+  await RecentlyViewed.updateOne(
+    owner,
+    [
+      {
+        $set: {
+          items: {
+            $slice: [
+              {
+                $concatArrays: [
+                  { $literal: [{ product, viewedAt }] },
+                  {
+                    $filter: {
+                      input: { $ifNull: ['$items', []] },
+                      cond: { $ne: ['$$this.product', product] }
+                    }
+                  }
+                ]
+              },
+              RECENTLY_VIEWED_LIMIT
+            ]
+          },
+          updatedAt: viewedAt,
+          expiresAt: owner.visitorId ? new Date(viewedAt.getTime() + VISITOR_HISTORY_TTL) : null
+        }
+      }
+    ],
+    { upsert: true }
+  );
+};
+
+/**
+ * Fold an anonymous visitor's history into a user's, keeping the latest
+ * view of each product, then forget the anonymous one.
+ */
+export const mergeVisitorHistory = async (visitorId, userId) => {
+  const anonymous = await RecentlyViewed.findOne({ visitorId });
+  if (!anonymous) return;
+  if (!anonymous.items.length) {
+    await RecentlyViewed.deleteOne({ _id: anonymous._id });
+    return;
+  }
+
+  const history = await RecentlyViewed.findOne({ user: userId });
+  const latest = new Map();
+  [...(history?.items || []), ...anonymous.items].forEach((item) => {
+    const key = item.product.toString();
+    if (!latest.has(key) || latest.get(key).viewedAt < item.viewedAt) {
+      latest.set(key, { product: item.product, viewedAt: item.viewedAt });
+    }
+  });
+
+  const items = [...latest.values()]
+    .sort((a, b) => b.viewedAt - a.viewedAt)
+    .slice(0, RECENTLY_VIEWED_LIMIT);
+
+  await RecentlyViewed.updateOne(
+    { user: userId },
+    { $set: { items, updatedAt: new Date(), expiresAt: null } },
+    { upsert: true }
+  );
+  // Only once the user's history holds the views
+  await RecentlyViewed.deleteOne({ _id: anonymous._id });
+};
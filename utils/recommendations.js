@@ -0,0 +1,138 @@
+import Category from '../models/category.js';
+import Checkout from '../models/checkout.js';
+import Product from '../models/products.js';
+import ProductRecommendation from '../models/productRecommendation.js';
+import { ACTIVE_PRODUCT } from './productQuery.js';
+
+// Recommendations kept per product; endpoints can return fewer
+export const MAX_RECOMMENDATIONS = 20;
+
+// Spec values two products have in common
+const countSharedSpecs = (a, b) => {
+  if (!a || !b) return 0;
+  return Object.entries(a).filter(([key, value]) => key in b && b[key] === value).length;
+};
+
+/**
+ * Rank related products for every active product. Candidates come from the
+ * same category, or a category with the same parent; each shared spec value
+ * adds to the score, and best sellers win ties.
+ */
+export const computeRelatedProducts = async () => {
+  const [products, categories] = await Promise.all([
+    Product.find(ACTIVE_PRODUCT, 'category specs salesCount rating').lean(),
+    Category.find({}, 'slug parent').lean()
+  ]);
+
+  const parentOf = new Map(
+    categories.map((c) => [c.slug, c.parent ? c.parent.toString() : null])
+  );
+  const byCategory = new Map();
+  products.forEach((product) => {
+    if (!byCategory.has(product.category)) byCategory.set(product.category, []);
+    byCategory.get(product.category).push(product);
+  });
+
+  // Sibling categories share a parent; top-level categories have none
+  const siblingsOf = (slug) => {
+    const parent = parentOf.get(slug);
+    if (!parent) return [];
+    return categories
+      .filter((c) => c.slug !== slug && c.parent && c.parent.toString() === parent)
+      .map((c) => c.slug);
+  };
+
+  const related = new Map();
+  products.forEach((product) => {
+    const candidates = [
+      ...(byCategory.get(product.category) || []).map((other) => ({ other, base: 3 })),
+      ...siblingsOf(product.category).flatMap((slug) =>
+        (byCategory.get(slug) || []).map((other) => ({ other, base: 1 }))
+      )
+    ];
+
+    const ranked = candidates
+      .filter(({ other }) => !other._id.equals(product._id))
+      .map(({ other, base }) => ({
+        other,
+        score: base + countSharedSpecs(product.specs, other.specs)
+      }))
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          (b.other.salesCount || 0) - (a.other.salesCount || 0) ||
+          (b.other.rating || 0) - (a.other.rating || 0)
+      )
+      .slice(0, MAX_RECOMMENDATIONS);
+
+    related.set(
+      product._id.toString(),
+      ranked.map(({ other, score }) => ({ product: other._id, score }))
+    );
+  });
+
+  return related;
+};
+
+/**
+ * Count how often each pair of products appears in the same completed
+ * checkout, keeping the most frequent partners of each product.
+ */
+export const computeBoughtTogether = async () => {
+  const pairs = await Checkout.aggregate([
+    { $match: { status: 'completed' } },
+    // A product bought in several variants still counts once per order
+    { $project: { products: { $setUnion: ['$items.product', []] } } },
+    { $match: { 'products.1': { $exists: true } } },
+    { $project: { product: '$products', partner: '$products' } },
+    { $unwind: '$product' },
+    { $unwind: '$partner' },
+    { $match: { $expr: { $ne: ['$product', '$partner'] } } },
+    { $group: { _id: { product: '$product', partner: '$partner' }, count: { $sum: 1 } } },
+    { $sort: { '_id.product': 1, count: -1, '_id.partner': 1 } },
+    {
+      $group: {
+        _id: '$_id.product',
+        partners: { $push: { product: '$_id.partner', count: '$count' } }
+      }
+    },
+    { $project: { partners: { $slice: ['$partners', MAX_RECOMMENDATIONS] } } }
+  ]);
+
+  return new Map(pairs.map((p) => [p._id.toString(), p.partners]));
+};
+
+/**
+ * Rebuild the stored related and bought-together rankings so product
+ * pages can read them without aggregating on every request.
+ */
+export const refreshRecommendations = async () => {
+  const [related, boughtTogether] = await Promise.all([
+    computeRelatedProducts(),
+    computeBoughtTogether()
+  ]);
+
+  const refreshedAt = new Date();
+  const ids = new Set([...related.keys(), ...boughtTogether.keys()]);
+
+  if (ids.size) {
+    await ProductRecommendation.bulkWrite(
+      [...ids].map((id) => ({
+        updateOne: {
+          filter: { product: id },
+          update: {
+            $set: {
+              related: related.get(id) || [],
+              boughtTogether: boughtTogether.get(id) || [],
+              refreshedAt
+            }
+          },
+          upsert: true
+        }
+      }))
+    );
+  }
+
+  // Drop rankings for products that no longer have any
+  await ProductRecommendation.deleteMany({ refreshedAt: { $lt: refreshedAt } });
+};
@@ -0,0 +1,52 @@
+// Named sizes generated for each uploaded image, per storage folder
+export const RENDITIONS = {
+  products: {
+    thumbnail: { width: 150, height: 150, crop: 'fill' },
+    card: { width: 400, height: 400, crop: 'fill' },
+    zoom: { width: 1600, height: 1600, crop: 'limit' }
+  },
+  avatars: {
+    thumbnail: { width: 64, height: 64, crop: 'fill' },
+    card: { width: 256, height: 256, crop: 'fill' }
+  }
+};
+
+// Every rendition is made in the original format and again as WebP
+export const RENDITION_FORMATS = ['original', 'webp'];
+
+/**
+ * The renditions to generate for a folder, one per size and format,
+ * e.g. { name: 'card', format: 'webp', width: 400, height: 400, crop: 'fill' }.
+ */
+export const getRenditionSpecs = (folder) => {
+  return Object.entries(RENDITIONS[folder] || {}).flatMap(([name, size]) =>
+    RENDITION_FORMATS.map((format) => ({ name, format, ...size }))
+  );
+};
+
+const toSrcset = (renditions) =>
+  renditions
+    .filter((r) => r.width)
+    .sort((a, b) => a.width - b.width)
+    .map((r) => `${r.url} ${r.width}w`)
+    .join(', ');
+
+/**
+ * Build what an <img srcset> / <picture> needs from a stored image:
+ * `src` falls back to the original, `srcset` lists the original-format
+ * renditions, `webp` the WebP ones, and each size's URL is also listed by name.
+ * Images stored without renditions only get `src`.
+ */
+export const buildSrcset = (url, renditions = []) => {
+  if (!url) return null;
+
+  const original = renditions.filter((r) => r.format !== 'webp');
+  const webp = renditions.filter((r) => r.format === 'webp');
+
+  return {
+    src: url,
+    srcset: toSrcset(original) || null,
+    webp: toSrcset(webp) || null,
+    urls: Object.fromEntries(original.map((r) => [r.name, r.url]))
+  };
+};
@@ -0,0 +1,75 @@
+import ProductRevision from '../models/productRevision.js';
+
+// Fields an admin edits; derived ones such as rating, salesCount and currentPrice are left out
+export const TRACKED_FIELDS = [
+  'name',
+  'sku',
+  'slug',
+  'metaTitle',
+  'metaDescription',
+  'images',
+  'description',
+  'price',
+  'compareAtPrice',
+  'salePrices',
+  'stock',
+  'category',
+  'specs',
+  'compatibleDevices',
+  'type',
+  'bundleItems',
+  'options',
+  'variants',
+  'status',
+  'publishAt',
+  'archivedAt'
+];
+
+// Rolling back restores everything except archiving, which has its own endpoints,
+// and on-hand stock, which only moves through sales and inventory adjustments
+export const ROLLBACK_FIELDS = TRACKED_FIELDS.filter((field) => !['archivedAt', 'stock'].includes(field));
+
+/**
+ * Plain copy of a product's tracked fields (maps as objects, IDs unpopulated).
+ */
+export const snapshotProduct = (product) => {
+  const data = product.toObject({ depopulate: true, flattenMaps: true, virtuals: false });
+  // Checkout reservations come and go without an admin change
+  data.variants = (data.variants || []).map(({ reserved, ...variant }) => variant);
+  return Object.fromEntries(TRACKED_FIELDS.map((field) => [field, data[field] ?? null]));
+};
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Field-level differences between two snapshots; `before` is null for new products.
+ */
+export const diffSnapshots = (before, after) => {
+  return TRACKED_FIELDS
+    .filter((field) => !same(before?.[field], after?.[field]))
+    .map((field) => ({ field, from: before?.[field] ?? null, to: after?.[field] ?? null }));
+};
+
+/**
+ * Store a revision of `product`. `before` is the snapshot taken before the
+ * change; updates that changed nothing are not recorded.
+ */
+export const recordRevision = async ({ product, action, actor, before = null, revertedTo }) => {
+  const snapshot = snapshotProduct(product);
+  const changes = diffSnapshots(before, snapshot);
+  if (!changes.length && action === 'update') return null;
+
+  const latest = await ProductRevision.findOne({ product: product._id }, 'version')
+    .sort({ version: -1 })
+    .lean();
+
+  return ProductRevision.create({
+    product: product._id,
+    version: (latest?.version || 0) + 1,
+    action,
+    actor,
+    changes,
+    snapshot,
+    revertedTo
+  });
+};
@@ -0,0 +1,45 @@
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+/**
+ * The sale window running at `now`, if any.
+ */
+export const getActiveSale = (product, now = new Date()) => {
+  return (product.salePrices || []).find(
+    (sale) => sale.startsAt <= now && now < sale.endsAt
+  ) || null;
+};
+
+/**
+ * Resolve what a product (or one of its variants) costs right now.
+ * A sale price replaces the product price; variants with their own price
+ * get the same percentage off. `compareAtPrice` is the "was" price shown
+ * struck through: the product's compare-at price if set, otherwise the
+ * regular price while a sale runs.
+ */
+export const resolvePrice = (product, variant, now = new Date()) => {
+  const regular = variant?.price ?? product.price;
+  const sale = getActiveSale(product, now);
+
+  let price = regular;
+  if (sale) {
+    price = variant?.price != null && product.price > 0
+      ? roundPrice(variant.price * (sale.price / product.price))
+      : sale.price;
+  }
+
+  const listed = product.compareAtPrice && variant?.price == null
+    ? product.compareAtPrice
+    : regular;
+  const compareAtPrice = listed > price ? listed : null;
+
+  return {
+    price,
+    regularPrice: regular,
+    compareAtPrice,
+    discountPercent: compareAtPrice
+      ? Math.round(((compareAtPrice - price) / compareAtPrice) * 100)
+      : 0,
+    onSale: Boolean(sale),
+    saleEndsAt: sale ? sale.endsAt : null
+  };
+};
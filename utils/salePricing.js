@@ -0,0 +1,40 @@
+import Product from '../models/products.js';
+import { resolvePrice } from './sale.js';
+
+// Sale windows that ended before this were already applied by an earlier run
+let lastRun = null;
+
+/**
+ * Bring Product.currentPrice up to date as sale windows start and end, so
+ * listing price filters, sorts and facets follow scheduled promotions.
+ * Saving a product updates its own currentPrice immediately.
+ */
+export const refreshCurrentPrices = async () => {
+  const now = new Date();
+  const query = {
+    $or: [
+      { currentPrice: { $exists: false } },
+      lastRun
+        ? { salePrices: { $elemMatch: { startsAt: { $lte: now }, endsAt: { $gte: lastRun } } } }
+        : { 'salePrices.0': { $exists: true } }
+    ]
+  };
+
+  const products = await Product.find(query, 'price compareAtPrice salePrices currentPrice').lean();
+  const updates = products
+    .map((product) => ({ product, price: resolvePrice(product, null, now).price }))
+    .filter(({ product, price }) => product.currentPrice !== price);
+
+  if (updates.length) {
+    await Product.bulkWrite(
+      updates.map(({ product, price }) => ({
+        updateOne: {
+          filter: { _id: product._id },
+          update: { $set: { currentPrice: price } }
+        }
+      }))
+    );
+  }
+
+  lastRun = now;
+};
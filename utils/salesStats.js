@@ -0,0 +1,30 @@
+import Checkout from '../models/checkout.js';
+import Product from '../models/products.js';
+
+/**
+ * Recompute Product.salesCount from the items of completed checkouts.
+ * Products with no completed sales are reset to 0.
+ */
+export const refreshSalesCounts = async () => {
+  const totals = await Checkout.aggregate([
+    { $match: { status: 'completed' } },
+    { $unwind: '$items' },
+    { $group: { _id: '$items.product', sold: { $sum: '$items.quantity' } } }
+  ]);
+
+  if (totals.length) {
+    await Product.bulkWrite(
+      totals.map((t) => ({
+        updateOne: {
+          filter: { _id: t._id },
+          update: { $set: { salesCount: t.sold } }
+        }
+      }))
+    );
+  }
+
+  await Product.updateMany(
+    { _id: { $nin: totals.map((t) => t._id) }, salesCount: { $ne: 0 } },
+    { $set: { salesCount: 0 } }
+  );
+};
@@ -0,0 +1,37 @@
+// Simple in-process scheduler for periodic maintenance tasks
+const jobs = new Map();
+
+/**
+ * Run `task` every `intervalMs` milliseconds, starting shortly after boot.
+ * A run is skipped while the previous one is still in progress, and
+ * errors are logged instead of crashing the server.
+ */
+export const scheduleJob = (name, intervalMs, task) => {
+  if (jobs.has(name)) return;
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`Scheduled job "${name}" failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  setTimeout(run, 0).unref();
+  jobs.set(name, timer);
+};
+
+/**
+ * Stop every scheduled job.
+ */
+export const stopJobs = () => {
+  jobs.forEach((timer) => clearInterval(timer));
+  jobs.clear();
+};
@@ -0,0 +1,139 @@
+import Product from '../models/products.js';
+import { ACTIVE_PRODUCT } from './productQuery.js';
+
+// Known words bucketed by their first two characters, so a term is only
+// compared with words that could match it. Rebuilt from the catalog by the
+// scheduler and extended as products are saved in between.
+let vocabulary = null;
+
+// Words compared per term, and words a term expands to, at most
+const MAX_CANDIDATES = 500;
+const MAX_EXPANSIONS = 20;
+
+/**
+ * Split free text into lowercase alphanumeric tokens.
+ */
+export const tokenize = (text = '') => {
+  return String(text)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+};
+
+/**
+ * True when `a` can be turned into `b` with at most one insertion,
+ * deletion or substitution.
+ */
+const isWithinOneEdit = (a, b) => {
+  if (Math.abs(a.length - b.length) > 1) return false;
+
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (a.length < b.length) j++;
+    else {
+      i++;
+      j++;
+    }
+  }
+
+  return edits + (a.length - i) + (b.length - j) <= 1;
+};
+
+const bucketKey = (word) => word.slice(0, 2);
+
+const addWords = (buckets, product) => {
+  [...tokenize(product.name), ...tokenize(product.description)].forEach((word) => {
+    const key = bucketKey(word);
+    if (!buckets.has(key)) buckets.set(key, new Set());
+    buckets.get(key).add(word);
+  });
+};
+
+/**
+ * Rebuild the vocabulary from the names and descriptions of products shoppers
+ * can see, dropping words of products removed since. Run periodically by the scheduler.
+ */
+export const refreshSearchVocabulary = async () => {
+  const buckets = new Map();
+  const cursor = Product.find(ACTIVE_PRODUCT, 'name description').lean().cursor();
+  for await (const product of cursor) {
+    addWords(buckets, product);
+  }
+  vocabulary = buckets;
+};
+
+/**
+ * Add the words of created or edited products to the vocabulary, so they
+ * expand searches before the next rebuild.
+ */
+export const addToSearchVocabulary = (...products) => {
+  if (!vocabulary) return;
+  products.forEach((product) => addWords(vocabulary, product));
+};
+
+// Words a term may expand to: those sharing its first two characters (or,
+// for one-character terms, its first character), at most MAX_CANDIDATES
+const getCandidates = (term) => {
+  const buckets = term.length > 1
+    ? [vocabulary.get(bucketKey(term))]
+    : [...vocabulary].filter(([key]) => key.startsWith(term)).map(([, words]) => words);
+
+  const candidates = [];
+  for (const words of buckets) {
+    for (const word of words || []) {
+      if (candidates.length >= MAX_CANDIDATES) return candidates;
+      candidates.push(word);
+    }
+  }
+  return candidates;
+};
+
+/**
+ * Expand a raw search string into a `$text` search string.
+ * Each term is kept as typed and joined by known words that start with it,
+ * or whose prefix is one edit away from it (terms of 5+ chars), so "powerb"
+ * and "powrbank" both find "powerbanks". Only words sharing the term's first
+ * two characters are considered, and each term adds at most MAX_EXPANSIONS.
+ */
+export const expandSearchTerms = async (q) => {
+  const terms = [...new Set(tokenize(q))];
+  if (!terms.length) return '';
+
+  if (!vocabulary) await refreshSearchVocabulary();
+  const expanded = new Set(terms);
+
+  terms.forEach((term) => {
+    let added = 0;
+    for (const word of getCandidates(term)) {
+      if (added >= MAX_EXPANSIONS) break;
+      if (word === term) continue;
+
+      // Compare against the word's prefix so partial, misspelled input still matches
+      const matches =
+        word.startsWith(term) ||
+        (term.length >= 5 &&
+          [
+            word.slice(0, term.length - 1),
+            word.slice(0, term.length),
+            word.slice(0, term.length + 1)
+          ].some((prefix) => isWithinOneEdit(term, prefix)));
+
+      if (matches && !expanded.has(word)) {
+        expanded.add(word);
+        added++;
+      }
+    }
+  });
+
+  return [...expanded].join(' ');
+};
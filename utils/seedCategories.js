@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Category from '../models/category.js';
+import Product from '../models/products.js';
+import { slugify } from './slugify.js';
+
+// Categories that used to be hard-coded on the Product model
+const LEGACY_CATEGORIES = [
+    'cases',
+    'screen protectors',
+    'magsafe',
+    'cables',
+    'chargers',
+    'powerbanks',
+    'headphones',
+    'speakers',
+    'smartwatches',
+    'tablets',
+    'laptops',
+    'accessories'
+];
+
+// Accessories that are sold for specific phone models
+const DEVICE_COMPATIBLE_CATEGORIES = ['cases', 'screen protectors', 'magsafe'];
+
+const titleCase = (text) => text.replace(/\b\w/g, (c) => c.toUpperCase());
+
+// Create the legacy categories and point existing products at their slugs
+const seedCategories = async () => {
+    await connectDB();
+
+    for (const [index, name] of LEGACY_CATEGORIES.entries()) {
+        const slug = slugify(name);
+
+        if (!(await Category.exists({ slug }))) {
+            await Category.create({
+                name: titleCase(name),
+                slug,
+                displayOrder: index,
+                deviceCompatibility: DEVICE_COMPATIBLE_CATEGORIES.includes(name)
+            });
+            console.log(`Created category: ${slug}`);
+        } else if (DEVICE_COMPATIBLE_CATEGORIES.includes(name)) {
+            // Categories seeded before device compatibility existed
+            await Category.updateOne(
+                { slug, deviceCompatibility: { $exists: false } },
+                { $set: { deviceCompatibility: true } }
+            );
+        }
+
+        if (slug !== name) {
+            const { modifiedCount } = await Product.updateMany(
+                { category: name },
+                { $set: { category: slug } }
+            );
+            if (modifiedCount) {
+                console.log(`Moved ${modifiedCount} product(s) from "${name}" to "${slug}"`);
+            }
+        }
+    }
+
+    await mongoose.disconnect();
+};
+
+seedCategories();
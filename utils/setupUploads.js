@@ -1,11 +1,14 @@
 import fs from 'fs';
 import path from 'path';
+import { UPLOADS_DIR } from './storage/localDriver.js';
 
+// Folders used by the local media storage driver
 const createUploadDirs = () => {
     const dirs = [
-        './uploads',
-        './uploads/products',
-        './uploads/avatars'
+        UPLOADS_DIR,
+        path.join(UPLOADS_DIR, 'products'),
+        path.join(UPLOADS_DIR, 'avatars'),
+        path.join(UPLOADS_DIR, 'categories')
     ];
 
     dirs.forEach(dir => {
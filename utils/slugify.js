@@ -0,0 +1,28 @@
+/**
+ * Turn text into a lowercase, URL-safe slug: "Screen Protectors" -> "screen-protectors".
+ */
+export const slugify = (text = '') => {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+/**
+ * Build a slug from `text` that no other document of `Model` uses in any of
+ * `fields`, adding a numeric suffix on collision: "usb-c-cable", "usb-c-cable-2", ...
+ */
+export const generateUniqueSlug = async (Model, text, { excludeId, fields = ['slug'] } = {}) => {
+  const base = slugify(text) || 'item';
+
+  for (let suffix = 1; ; suffix++) {
+    const candidate = suffix === 1 ? base : `${base}-${suffix}`;
+    const taken = await Model.exists({
+      _id: { $ne: excludeId },
+      $or: fields.map((field) => ({ [field]: candidate }))
+    });
+    if (!taken) return candidate;
+  }
+};
@@ -0,0 +1,36 @@
+// Attribute and spec keys end up in query paths, so keep them to a safe alphabet
+export const ATTRIBUTE_KEY = /^[a-z0-9_]+$/;
+
+// `attr.<key>_gte=20` style filters compare numbers, so keys can't end in these suffixes
+export const RANGE_SUFFIX = /_(gte|gt|lte|lt)$/;
+
+/**
+ * Cast a raw spec value (often a string from a form or CSV) to the type of
+ * its attribute definition. Returns { value } or { error }.
+ */
+export const castSpecValue = (definition, raw) => {
+  switch (definition.type) {
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (raw === '' || raw === null || !Number.isFinite(value)) {
+        return { error: `${definition.label} must be a number` };
+      }
+      return { value };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const text = String(raw).trim().toLowerCase();
+      if (text === 'true' || text === 'false') return { value: text === 'true' };
+      return { error: `${definition.label} must be true or false` };
+    }
+    case 'enum': {
+      const value = String(raw).trim();
+      if (!definition.values.includes(value)) {
+        return { error: `${definition.label} must be one of: ${definition.values.join(', ')}` };
+      }
+      return { value };
+    }
+    default:
+      return { error: `Unknown attribute type for ${definition.label}` };
+  }
+};
@@ -0,0 +1,45 @@
+import { uploadBuffer, destroyAsset } from '../cloudinary.js';
+import { getRenditionSpecs } from '../renditions.js';
+
+// Keeps every asset under one Cloudinary folder
+const ROOT_FOLDER = 'technest';
+
+/**
+ * Store files in Cloudinary. Needs the CLOUDINARY_* environment variables.
+ */
+export const cloudinaryDriver = {
+  name: 'cloudinary',
+
+  async save(buffer, { folder }) {
+    // Eager transformations are generated during the upload, in this order
+    const specs = getRenditionSpecs(folder);
+    const result = await uploadBuffer(buffer, {
+      folder: `${ROOT_FOLDER}/${folder}`,
+      eager: specs.map(({ width, height, crop, format }) => ({
+        width,
+        height,
+        crop,
+        quality: 'auto',
+        ...(format === 'webp' && { format: 'webp' })
+      }))
+    });
+
+    return {
+      url: result.secure_url,
+      publicId: result.public_id,
+      width: result.width,
+      height: result.height,
+      renditions: (result.eager || []).map((rendition, i) => ({
+        name: specs[i].name,
+        format: specs[i].format,
+        url: rendition.secure_url,
+        width: rendition.width,
+        height: rendition.height
+      }))
+    };
+  },
+
+  async remove(publicId) {
+    await destroyAsset(publicId);
+  }
+};
@@ -0,0 +1,44 @@
+import { cloudinaryDriver } from './cloudinaryDriver.js';
+import { localDriver } from './localDriver.js';
+
+const drivers = {
+  [cloudinaryDriver.name]: cloudinaryDriver,
+  [localDriver.name]: localDriver
+};
+
+/**
+ * The driver chosen by MEDIA_STORAGE ("cloudinary" or "local").
+ * Without it, Cloudinary is used when it is configured and local disk otherwise.
+ */
+export const getStorageDriver = () => {
+  const name =
+    process.env.MEDIA_STORAGE ||
+    (process.env.CLOUDINARY_CLOUD_NAME ? cloudinaryDriver.name : localDriver.name);
+
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(
+      `Unknown MEDIA_STORAGE "${name}". Use one of: ${Object.keys(drivers).join(', ')}`
+    );
+  }
+  return driver;
+};
+
+/**
+ * Store an uploaded file (a multer memory file) in `folder`, e.g. "products".
+ * Resolves to { url, publicId, width, height, renditions, storage }; keep
+ * `publicId` and `storage` to delete the file later.
+ */
+export const storeFile = async (file, folder) => {
+  const driver = getStorageDriver();
+  const stored = await driver.save(file.buffer, { folder, mimetype: file.mimetype });
+  return { ...stored, storage: driver.name };
+};
+
+/**
+ * Delete a stored file with the driver that stored it.
+ */
+export const removeFile = async (publicId, storage) => {
+  const driver = drivers[storage] || getStorageDriver();
+  await driver.remove(publicId);
+};
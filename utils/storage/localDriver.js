@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getImageSize } from '../imageSize.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Served by the /uploads static route in server.js
+export const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, '..', '..', 'uploads');
+const PUBLIC_PATH = '/uploads';
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp'
+};
+
+// Resolve a stored ID to a path, refusing anything outside the uploads directory
+const resolveFile = (publicId) => {
+  const file = path.resolve(UPLOADS_DIR, publicId);
+  if (!file.startsWith(path.resolve(UPLOADS_DIR) + path.sep)) {
+    throw new Error(`Invalid upload path: ${publicId}`);
+  }
+  return file;
+};
+
+/**
+ * Store files on local disk under UPLOADS_DIR, for development and test
+ * runs without Cloudinary credentials. Only the original is kept; there is
+ * no image processing here, so no renditions are generated.
+ */
+export const localDriver = {
+  name: 'local',
+
+  async save(buffer, { folder, mimetype }) {
+    const size = getImageSize(buffer);
+    const extension = EXTENSIONS[mimetype] || (size ? `.${size.type}` : '');
+    const publicId = `${folder}/${crypto.randomUUID()}${extension}`;
+
+    const file = resolveFile(publicId);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+
+    return {
+      url: `${PUBLIC_PATH}/${publicId}`,
+      publicId,
+      width: size?.width,
+      height: size?.height,
+      renditions: []
+    };
+  },
+
+  async remove(publicId) {
+    await fs.rm(resolveFile(publicId), { force: true });
+  }
+};
@@ -0,0 +1,172 @@
+import Product from '../models/products.js';
+import Category from '../models/category.js';
+import SearchQuery from '../models/searchQuery.js';
+import { ACTIVE_PRODUCT } from './productQuery.js';
+import { tokenize } from './search.js';
+
+// Most suggestions returned per request
+export const MAX_SUGGESTIONS = 10;
+
+// A past query must have been run this often before it is suggested
+const MIN_QUERY_COUNT = 3;
+
+// Most popular queries kept in the index
+const MAX_INDEXED_QUERIES = 1000;
+
+// Longest prefix indexed per word; longer input is narrowed by filtering
+const MAX_PREFIX_LENGTH = 10;
+
+// Breaks ties between equally popular suggestions of different kinds
+const TYPE_BOOST = { query: 0.5, category: 0.25, product: 0 };
+
+let index = null;
+let building = null;
+
+/**
+ * Normalize a search string the way it is stored and matched.
+ */
+export const normalizeQuery = (q) => tokenize(q).join(' ');
+
+/**
+ * Count a search that found products, so frequent ones become suggestions.
+ */
+export const recordSearchQuery = async (q) => {
+  const query = normalizeQuery(q);
+  if (query.length < 2 || query.length > 100) return;
+
+  await SearchQuery.updateOne(
+    { query },
+    { $inc: { count: 1 }, $set: { lastSearchedAt: new Date() } },
+    { upsert: true }
+  );
+};
+
+/**
+ * Build the in-memory index: every suggestion with its popularity, and a map
+ * from each word prefix to the suggestions containing a word that starts with it.
+ */
+const buildIndex = async () => {
+  const [products, categories, categoryCounts, queries] = await Promise.all([
+    Product.find(ACTIVE_PRODUCT, 'name slug category salesCount').lean(),
+    Category.find({}, 'name slug').lean(),
+    Product.aggregate([
+      { $match: ACTIVE_PRODUCT },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]),
+    SearchQuery.find({ count: { $gte: MIN_QUERY_COUNT } }, 'query count')
+      .sort({ count: -1 })
+      .limit(MAX_INDEXED_QUERIES)
+      .lean()
+  ]);
+
+  const productsPerCategory = new Map(categoryCounts.map((c) => [c._id, c.count]));
+
+  const entries = [
+    ...queries.map((q) => ({
+      type: 'query',
+      text: q.query,
+      popularity: q.count
+    })),
+    // Empty categories would lead nowhere
+    ...categories
+      .filter((c) => productsPerCategory.has(c.slug))
+      .map((c) => ({
+        type: 'category',
+        text: c.name,
+        category: c.slug,
+        popularity: productsPerCategory.get(c.slug)
+      })),
+    ...products.map((p) => ({
+      type: 'product',
+      text: p.name,
+      product: p._id.toString(),
+      slug: p.slug,
+      category: p.category,
+      popularity: p.salesCount || 0
+    }))
+  ].map((entry) => ({
+    ...entry,
+    words: tokenize(entry.text),
+    weight: Math.log1p(entry.popularity) + TYPE_BOOST[entry.type]
+  }));
+
+  const prefixes = new Map();
+  entries.forEach((entry, i) => {
+    entry.words.forEach((word) => {
+      for (let length = 1; length <= Math.min(word.length, MAX_PREFIX_LENGTH); length++) {
+        const prefix = word.slice(0, length);
+        if (!prefixes.has(prefix)) prefixes.set(prefix, new Set());
+        prefixes.get(prefix).add(i);
+      }
+    });
+  });
+
+  return { entries, prefixes, builtAt: new Date() };
+};
+
+/**
+ * Rebuild the suggestion index. Run periodically by the scheduler;
+ * concurrent calls share one build.
+ */
+export const refreshSuggestionIndex = async () => {
+  if (!building) {
+    building = buildIndex()
+      .then((built) => {
+        index = built;
+        return built;
+      })
+      .finally(() => {
+        building = null;
+      });
+  }
+  return building;
+};
+
+/**
+ * Ranked suggestions for what the shopper has typed so far. Every typed
+ * word must start a word of the suggestion; the last one may be partial.
+ * Suggestions that start with the whole input rank above the rest.
+ */
+export const getSuggestions = async (q, limit = MAX_SUGGESTIONS) => {
+  const terms = tokenize(q);
+  if (!terms.length) return [];
+
+  // Only the very first request waits for a build
+  const { entries, prefixes } = index || (await refreshSuggestionIndex());
+
+  // Start from the rarest prefix, then check the other terms
+  const candidateSets = terms.map(
+    (term) => prefixes.get(term.slice(0, MAX_PREFIX_LENGTH)) || new Set()
+  );
+  const smallest = candidateSets.reduce((a, b) => (b.size < a.size ? b : a));
+
+  const typed = terms.join(' ');
+  const matches = [];
+  smallest.forEach((i) => {
+    const entry = entries[i];
+    const matchesAll = terms.every((term) =>
+      entry.words.some((word) => word.startsWith(term))
+    );
+    if (!matchesAll) return;
+
+    const startsWith = entry.words.join(' ').startsWith(typed);
+    matches.push({ entry, score: entry.weight + (startsWith ? 2 : 0) });
+  });
+
+  matches.sort((a, b) => b.score - a.score || a.entry.text.length - b.entry.text.length);
+
+  // One suggestion per distinct text, keeping the best ranked
+  const seen = new Set();
+  const suggestions = [];
+  for (const { entry } of matches) {
+    const key = entry.words.join(' ');
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const { type, text, product, slug, category } = entry;
+    suggestions.push({ type, text, product, slug, category });
+    if (suggestions.length >= limit) break;
+  }
+
+  return suggestions;
+};